@@ -0,0 +1,120 @@
+/**
+ * Ahoratra (full Hindu day) division into 30 muhurtas
+ * 15 day muhurtas span sunrise to sunset, 15 night muhurtas span sunset to next sunrise
+ */
+
+const moment = require('moment-timezone');
+const { getMuhuratCalculator, validateDayInputs } = require('./solarday');
+const { formatTimePoint, parseDateInput, divideTimeSpan } = require('../utils/time');
+
+const DAY_MUHURTAS = [
+  'Rudra', 'Ahi', 'Mitra', 'Pitri', 'Vasu',
+  'Varaha', 'Vishvedeva', 'Vidhi', 'Sutamukhi', 'Puruhuta',
+  'Vahini', 'Naktanakara', 'Varuna', 'Aryaman', 'Bhaga'
+];
+
+const NIGHT_MUHURTAS = [
+  'Girisha', 'Ajapada', 'Ahirbudhnya', 'Pushya', 'Ashvini',
+  'Yama', 'Agni', 'Vidhatri', 'Kanda', 'Aditi',
+  'Jiva', 'Vishnu', 'Dyumadgadyuti', 'Brahma', 'Samudra'
+];
+
+class AhoratraCalculator {
+  constructor(options = {}) {
+    this.precision = options.precision || 'high';
+    this.muhuratCalc = getMuhuratCalculator(options);
+  }
+
+  /**
+   * Calculate all 30 muhurtas of the ahoratra for given location and date
+   * @param {Object} params - Calculation parameters
+   * @returns {Object} Day and night muhurta tables
+   */
+  calculateMuhurtas(params) {
+    const {
+      latitude,
+      longitude,
+      elevation = 0,
+      date,
+      timezone
+    } = params;
+
+    validateDayInputs(params);
+
+    const ahoratra = this.calculateAhoratra(params);
+
+    const day = this._buildMuhurtas(DAY_MUHURTAS, ahoratra.sunrise, ahoratra.sunset, 'day', 1, timezone);
+    const night = this._buildMuhurtas(NIGHT_MUHURTAS, ahoratra.sunset, ahoratra.nextSunrise, 'night', 16, timezone);
+
+    return {
+      location: {
+        latitude,
+        longitude,
+        elevation,
+        timezone
+      },
+      date: parseDateInput(date),
+      solarStatus: ahoratra.solarStatus,
+      ahoratra: {
+        sunrise: formatTimePoint(ahoratra.sunrise, timezone),
+        sunset: formatTimePoint(ahoratra.sunset, timezone),
+        nextSunrise: formatTimePoint(ahoratra.nextSunrise, timezone),
+        dayMinutes: ahoratra.dayMinutes,
+        nightMinutes: ahoratra.nightMinutes,
+        dayMuhurtaMinutes: ahoratra.dayMinutes / 15,
+        nightMuhurtaMinutes: ahoratra.nightMinutes / 15
+      },
+      muhurtas: {
+        day,
+        night
+      },
+      calculationDetails: {
+        precision: this.precision,
+        timestamp: new Date().toISOString()
+      }
+    };
+  }
+
+  /**
+   * Sunrise, sunset and the following sunrise with day and night spans
+   * @param {Object} params - Calculation parameters
+   * @returns {Object} { sunrise, sunset, nextSunrise, dayMinutes, nightMinutes, solarStatus }
+   */
+  calculateAhoratra(params) {
+    const times = this.muhuratCalc.calculateSunTimes(params, { nextSunrise: true });
+
+    return {
+      ...times,
+      dayMinutes: moment(times.sunset).diff(moment(times.sunrise), 'seconds') / 60,
+      nightMinutes: moment(times.nextSunrise).diff(moment(times.sunset), 'seconds') / 60
+    };
+  }
+
+  /**
+   * Split a span into named muhurtas
+   */
+  _buildMuhurtas(names, start, end, period, firstIndex, timezone) {
+    const segments = divideTimeSpan(start, end, names.length);
+
+    return segments.map((segment, i) => ({
+      index: firstIndex + i,
+      name: names[i],
+      period,
+      start: formatTimePoint(segment.start, timezone),
+      end: formatTimePoint(segment.end, timezone),
+      durationMinutes: moment(segment.end).diff(moment(segment.start), 'seconds') / 60
+    }));
+  }
+
+  /**
+   * Get the names of the 30 muhurtas in order
+   */
+  static getMuhurtaNames() {
+    return {
+      day: [...DAY_MUHURTAS],
+      night: [...NIGHT_MUHURTAS]
+    };
+  }
+}
+
+module.exports = AhoratraCalculator;
@@ -4,15 +4,69 @@
  */
 
 const SunCalc = require('suncalc');
-const { Astronomy } = require('astronomy-engine');
+const Astronomy = require('astronomy-engine');
 const moment = require('moment-timezone');
 const Big = require('big.js');
 const _unusedBig = Big; // Referenced to avoid ESLint unused var warning
+const { getBackend } = require('./ephemeris');
+
+const MOON_RADIUS_KM = 1737.4;
+const SUN_RADIUS_KM = 695700;
+
+// Backends used per capability when no ephemeris is selected
+const DEFAULT_BACKENDS = {
+  standard: { riseSet: 'suncalc', twilight: 'suncalc', solarPosition: 'astronomy-engine' },
+  maximum: { riseSet: 'astronomy-engine', twilight: 'astronomy-engine', solarPosition: 'astronomy-engine' }
+};
+
+// Backend used for custom depression angles when the selected one cannot search altitudes
+const ALTITUDE_SEARCH_FALLBACK = 'astronomy-engine';
+
+// Apparent altitude of the Sun's centre at standard sunrise and sunset
+const SUNRISE_ALTITUDE = -0.833;
+
+// Refraction at the horizon, in degrees
+const HORIZON_REFRACTION = 34 / 60;
+
+// Which point of the Sun marks sunrise and sunset, and on which horizon
+const SUNRISE_DEFINITIONS = {
+  'upper-limb': { refraction: true, limb: true },             // First gleam of the upper limb
+  'centre-apparent-horizon': { refraction: true, limb: false }, // Centre of the disc on the refracted horizon
+  'centre-true-horizon': { refraction: false, limb: false }     // Centre of the disc on the geometric horizon
+};
+
+// Latitude step used when searching for the nearest latitude with a sunrise
+const LATITUDE_STEP = 0.5;
+
+// Rate of the Sun's hour angle, in degrees per second
+const HOUR_ANGLE_RATE = 360 / 86400;
+
+// Where the search for a day's sunrise and sunset starts
+const DAY_ANCHORS = ['local-midnight', 'previous-noon', 'utc'];
+
+// Skyline crossing search: sampling step and how far before sunrise (after sunset) it starts
+const SKYLINE_STEP_MS = 2 * 60 * 1000;
 
 class AstronomicalCalculator {
   constructor(options = {}) {
     this.precision = options.precision || 'high';
     this.useSwissEphemeris = options.useSwissEphemeris || false;
+
+    // An explicit backend serves every capability; otherwise the precision level picks them
+    this.ephemeris = options.ephemeris || null;
+    this.backend = this.ephemeris ? getBackend(this.ephemeris) : null;
+
+    this.dayAnchor = options.dayAnchor || 'local-midnight';
+    if (!DAY_ANCHORS.includes(this.dayAnchor)) {
+      throw new Error(`Unsupported day anchor: ${this.dayAnchor}. Use one of ${DAY_ANCHORS.join(', ')}`);
+    }
+
+    this.sunriseDefinition = options.sunriseDefinition || 'upper-limb';
+    if (!SUNRISE_DEFINITIONS[this.sunriseDefinition]) {
+      throw new Error(
+        `Unsupported sunrise definition: ${this.sunriseDefinition}. Use one of ${Object.keys(SUNRISE_DEFINITIONS).join(', ')}`
+      );
+    }
     this._loadCompatibleLibraries();
   }
 
@@ -20,14 +74,6 @@ class AstronomicalCalculator {
    * Dynamic library loading with version checking
    */
   _loadCompatibleLibraries() {
-    try {
-      this.astronomia = require('astronomia');
-      console.log(`Loaded astronomia v${this.astronomia.version || 'unknown'}`);
-    } catch (_error) {
-      console.warn('Astronomia not available, using fallback');
-      this.astronomia = null;
-    }
-
     // Swiss Ephemeris is not available in npm, using alternatives
     this.swissEphemeris = null;
     console.warn('Swiss Ephemeris not available, using Astronomy Engine and SunCalc');
@@ -35,171 +81,609 @@ class AstronomicalCalculator {
 
   /**
    * Calculate precise sunrise based on precision level
+   * @param {HorizonCalculator} horizon - Local horizon; sunrise is when the Sun clears its skyline
    */
-  calculateSunrise(latitude, longitude, elevation, date, timezone, pressure = 1013.25, temperature = 15) {
-    const dateObj = moment.tz(date, timezone);
-    
-    switch (this.precision) {
-      case 'maximum':
-        return this._calculateMaximumPrecisionSunrise(latitude, longitude, elevation, dateObj, pressure, temperature);
-      case 'high':
-        return this._calculateHighPrecisionSunrise(latitude, longitude, elevation, dateObj);
-      case 'basic':
+  calculateSunrise(latitude, longitude, elevation, date, timezone, pressure = 1013.25, temperature = 15, horizon = null) {
+    return this._calculateRiseSetEvent(
+      'sunrise', latitude, longitude, elevation, date, timezone, pressure, temperature, horizon
+    );
+  }
+
+  /**
+   * Calculate precise sunset based on precision level
+   * Mirrors calculateSunrise so that day and night spans are consistent
+   */
+  calculateSunset(latitude, longitude, elevation, date, timezone, pressure = 1013.25, temperature = 15, horizon = null) {
+    return this._calculateRiseSetEvent(
+      'sunset', latitude, longitude, elevation, date, timezone, pressure, temperature, horizon
+    );
+  }
+
+  /**
+   * Get sunrise or sunset from the rise/set backend and apply the precision level's corrections
+   * A backend failure falls back to SunCalc with high precision corrections
+   */
+  _calculateRiseSetEvent(event, latitude, longitude, elevation, date, timezone, pressure, temperature, horizon) {
+    const observer = { latitude, longitude, elevation };
+    const backend = this.getBackend('riseSet');
+    let time;
+
+    try {
+      const raw = this._searchEventOnLocalDate(backend, event, observer, date, timezone);
+      if (backend.id === 'suncalc' || moment(raw).isValid()) {
+        const defined = this._applySunriseDefinition(event, raw, backend, observer);
+        time = this._applyPrecisionCorrections(event, defined, this.precision, observer, pressure, temperature);
+      }
+    } catch (_error) {
+      // Handled by the fallback below
+    }
+
+    if (!time) {
+      console.warn(`${backend.name} calculation failed, falling back to high precision`);
+      const fallback = getBackend('suncalc');
+      const raw = this._searchEventOnLocalDate(fallback, event, observer, date, timezone);
+      const defined = this._applySunriseDefinition(event, raw, fallback, observer);
+      const precision = this.precision === 'maximum' ? 'high' : this.precision;
+      time = this._applyPrecisionCorrections(event, defined, precision, observer, pressure, temperature);
+    }
+
+    return this._applyHorizon(event, time, observer, horizon, pressure, temperature);
+  }
+
+  /**
+   * Move a backend's sunrise or sunset to the sunrise definition's altitude
+   * Backends without getRiseSetAltitude are taken to report the upper limb on the refracted horizon
+   */
+  _applySunriseDefinition(event, time, backend, observer) {
+    if (!moment(time).isValid()) {
+      return time;
+    }
+
+    const upperLimb = -(HORIZON_REFRACTION + this.calculateSolarSemiDiameter(time));
+    const reported = backend.getRiseSetAltitude ? backend.getRiseSetAltitude(time) : upperLimb;
+    const target = this.getSunriseAltitude(time);
+    if (target === reported) {
+      return time;
+    }
+
+    const rate = this.calculateAltitudeRate(observer.latitude, this._getSolarDeclination(time, observer), reported);
+
+    if (!(rate > 0)) {
+      return time;
+    }
+
+    // A higher altitude is reached later at sunrise and earlier at sunset
+    const sign = event === 'sunset' ? -1 : 1;
+    return new Date(time.getTime() + sign * ((target - reported) / rate) * 1000);
+  }
+
+  /**
+   * Geometric altitude of the Sun's centre at sunrise under the sunrise definition,
+   * from the horizon refraction and the Sun's semi-diameter on that date
+   * @param {Date} date - Instant for the semi-diameter
+   * @returns {number} Degrees, negative below the horizon
+   */
+  getSunriseAltitude(date) {
+    const definition = SUNRISE_DEFINITIONS[this.sunriseDefinition];
+    return -((definition.refraction ? HORIZON_REFRACTION : 0) +
+      (definition.limb ? this.calculateSolarSemiDiameter(date) : 0));
+  }
+
+  /**
+   * Angular semi-diameter of the Sun from its distance on a date
+   * @returns {number} Degrees, between about 0.262 in July and 0.271 in January
+   */
+  calculateSolarSemiDiameter(date) {
+    const distance = Astronomy.GeoVector(Astronomy.Body.Sun, Astronomy.MakeTime(new Date(date)), true).Length();
+    return Math.asin(SUN_RADIUS_KM / (distance * Astronomy.KM_PER_AU)) * 180 / Math.PI;
+  }
+
+  /**
+   * Whether the sunrise definition includes atmospheric refraction
+   */
+  isSunriseRefracted() {
+    return SUNRISE_DEFINITIONS[this.sunriseDefinition].refraction;
+  }
+
+  /**
+   * Sun's declination of date, in degrees
+   */
+  _getSolarDeclination(time, observer) {
+    const astroObserver = new Astronomy.Observer(observer.latitude, observer.longitude, observer.elevation || 0);
+    return Astronomy.Equator(Astronomy.Body.Sun, Astronomy.MakeTime(time), astroObserver, true, true).dec;
+  }
+
+  /**
+   * Shift sunrise or sunset to the observer's horizon: the time the Sun takes to clear
+   * the skyline profile, or to reach the horizon dipped below an elevated eye
+   * @returns {Date} Shifted event, invalid when the Sun never clears the skyline that day; a skyline the Sun
+   *   stays above all day, as a low one near the polar circles in summer, keeps the flat-horizon event
+   */
+  _applyHorizon(event, time, observer, horizon, pressure, temperature) {
+    if (!horizon || !moment(time).isValid()) {
+      return time;
+    }
+    if (!horizon.hasProfile()) {
+      return this._applyHorizonDip(event, time, observer, horizon.getDip());
+    }
+
+    const flat = this._searchSkylineCrossing(event, observer, time, () => 0, pressure, temperature);
+    const skyline = this._searchSkylineCrossing(
+      event, observer, time, azimuth => horizon.getAltitude(azimuth), pressure, temperature
+    );
+
+    if (!flat.crossing || skyline.alwaysClear) {
+      return time;
+    }
+    if (!skyline.crossing) {
+      return new Date(NaN);
+    }
+    return new Date(time.getTime() + (skyline.crossing.getTime() - flat.crossing.getTime()));
+  }
+
+  /**
+   * Move sunrise earlier and sunset later by the time the Sun takes to climb through the horizon dip
+   */
+  _applyHorizonDip(event, time, observer, dip) {
+    if (dip === 0) {
+      return time;
+    }
+
+    const rate = this.calculateAltitudeRate(observer.latitude, this._getSolarDeclination(time, observer));
+
+    // A Sun grazing the horizon gives no usable rate; keep the event as calculated
+    if (!(rate > 0)) {
+      return time;
+    }
+
+    const sign = event === 'sunset' ? -1 : 1;
+    return new Date(time.getTime() - sign * (dip / rate) * 1000);
+  }
+
+  /**
+   * Rate at which the Sun's altitude changes as it crosses an altitude, from the latitude and declination
+   * @param {number} latitude - Observer latitude in degrees
+   * @param {number} declination - Sun's declination in degrees
+   * @param {number} altitude - Altitude crossed, in degrees (default: standard sunrise)
+   * @returns {number} Degrees per second, 0 when the Sun does not cross that altitude
+   */
+  calculateAltitudeRate(latitude, declination, altitude = SUNRISE_ALTITUDE) {
+    const toRadians = Math.PI / 180;
+    const lat = latitude * toRadians;
+    const dec = declination * toRadians;
+    const alt = altitude * toRadians;
+
+    const cosHourAngle = (Math.sin(alt) - Math.sin(lat) * Math.sin(dec)) / (Math.cos(lat) * Math.cos(dec));
+    if (Math.abs(cosHourAngle) >= 1) {
+      return 0;
+    }
+
+    // d(sin h) = -cos(lat) cos(dec) sin(H) dH
+    const sinHourAngle = Math.sqrt(1 - cosHourAngle * cosHourAngle);
+    return HOUR_ANGLE_RATE * Math.cos(lat) * Math.cos(dec) * sinHourAngle / Math.cos(alt);
+  }
+
+  /**
+   * Find when the point of the Sun that defines sunrise crosses the skyline around a sunrise or sunset,
+   * sampling from the Sun's lowest point, its lower culmination, towards solar transit
+   * @param {Function} skylineAltitude - Skyline altitude in degrees for an azimuth
+   * @returns {Object} { crossing, alwaysClear }: crossing is the first at sunrise, the last at sunset, or
+   *   null when there is none; alwaysClear is true when the Sun is above the skyline even at its lowest
+   */
+  _searchSkylineCrossing(event, observer, approximate, skylineAltitude, pressure, temperature) {
+    const astroObserver = new Astronomy.Observer(observer.latitude, observer.longitude, observer.elevation || 0);
+    const clearance = (ms) => {
+      const sun = this._getSunrisePointPosition(astroObserver, new Date(ms), pressure, temperature);
+      return sun.altitude - skylineAltitude(sun.azimuth);
+    };
+
+    // Sunrise lies within 12 hours after the lower culmination before it, sunset within 12 hours before
+    // the one after it
+    const rising = event === 'sunrise';
+    const halfDay = 12 * 3600000;
+    const searchFrom = rising ? approximate.getTime() : approximate.getTime() - halfDay;
+    const transit = Astronomy.SearchHourAngle(Astronomy.Body.Sun, astroObserver, 0, Astronomy.MakeTime(new Date(searchFrom)));
+    const lowestFrom = rising ? approximate.getTime() - halfDay : approximate.getTime();
+    const lowest = Astronomy.SearchHourAngle(Astronomy.Body.Sun, astroObserver, 12, Astronomy.MakeTime(new Date(lowestFrom)));
+
+    // Walk from the lowest point towards transit until the Sun is clear
+    const step = rising ? SKYLINE_STEP_MS : -SKYLINE_STEP_MS;
+    const end = transit.time.date.getTime();
+    let hidden = lowest.time.date.getTime();
+    if (clearance(hidden) >= 0) {
+      return { crossing: null, alwaysClear: true };
+    }
+
+    for (let ms = hidden + step; rising ? ms <= end : ms >= end; ms += step) {
+      if (clearance(ms) >= 0) {
+        // Bisect to a second between the hidden and clear samples
+        let clear = ms;
+        while (Math.abs(clear - hidden) > 1000) {
+          const middle = (clear + hidden) / 2;
+          if (clearance(middle) >= 0) {
+            clear = middle;
+          } else {
+            hidden = middle;
+          }
+        }
+        return { crossing: new Date(Math.round(clear)), alwaysClear: false };
+      }
+      hidden = ms;
+    }
+
+    return { crossing: null, alwaysClear: false };
+  }
+
+  /**
+   * Azimuth and altitude of the point of the Sun that defines sunrise (upper limb or centre),
+   * refracted for the conditions unless the definition uses the true horizon
+   */
+  _getSunrisePointPosition(astroObserver, date, pressure, temperature) {
+    const definition = SUNRISE_DEFINITIONS[this.sunriseDefinition];
+    const time = Astronomy.MakeTime(date);
+    const equator = Astronomy.Equator(Astronomy.Body.Sun, time, astroObserver, true, true);
+    const horizontal = Astronomy.Horizon(time, astroObserver, equator.ra, equator.dec);
+
+    const refraction = definition.refraction
+      ? Astronomy.Refraction('normal', horizontal.altitude) * (pressure / 1010) * (283 / (273 + temperature))
+      : 0;
+    const semiDiameter = definition.limb
+      ? Math.asin(SUN_RADIUS_KM / (equator.dist * Astronomy.KM_PER_AU)) * 180 / Math.PI
+      : 0;
+
+    return {
+      azimuth: horizontal.azimuth,
+      altitude: horizontal.altitude + refraction + semiDiameter
+    };
+  }
+
+  /**
+   * Search sunrise or sunset in the day anchor's 24-hour window, keeping only an event on the requested
+   * local date; when the window misses that date it is moved a day earlier, then a day later
+   * Where a local date has two events, as sunset crossing midnight near the polar circles, the anchor
+   * decides which one is returned
+   * @returns {Date} The event, invalid when it does not occur on that local date
+   */
+  _searchEventOnLocalDate(backend, event, observer, date, timezone) {
+    const localDate = moment.tz(date, timezone).format('YYYY-MM-DD');
+    const anchorStart = moment(this.getSearchStart(this.dayAnchor, event, localDate, timezone));
+
+    for (const days of [0, -1, 1]) {
+      const start = anchorStart.clone().add(days, 'days').toDate();
+      const time = backend.getRiseSet(observer, start)[event];
+
+      if (moment(time).isValid() && moment(time).tz(timezone).format('YYYY-MM-DD') === localDate) {
+        return time;
+      }
+    }
+
+    return new Date(NaN);
+  }
+
+  /**
+   * Start of the 24-hour search for a day's sunrise or sunset
+   * @param {string} anchor - 'local-midnight', 'previous-noon' (sunrise from the previous day's local noon,
+   *   sunset from the day's local noon) or 'utc' (0h UT of the calendar date)
+   * @param {string} event - 'sunrise' or 'sunset'
+   * @param {string} localDate - Requested local date, YYYY-MM-DD
+   * @returns {Date} Search start
+   */
+  getSearchStart(anchor, event, localDate, timezone) {
+    switch (anchor) {
+      case 'utc':
+        return moment.utc(localDate, 'YYYY-MM-DD').toDate();
+
+      case 'previous-noon': {
+        const noon = moment.tz(localDate, 'YYYY-MM-DD', timezone).hour(12);
+        return (event === 'sunrise' ? noon.subtract(1, 'day') : noon).toDate();
+      }
+
+      case 'local-midnight':
       default:
-        return this._calculateBasicSunrise(latitude, longitude, dateObj);
+        return moment.tz(localDate, 'YYYY-MM-DD', timezone).toDate();
     }
   }
 
   /**
-   * Maximum precision using Astronomy Engine with full corrections
+   * Apply the corrections of a precision level to a sunrise or sunset on the sunrise definition's altitude
+   * That altitude already includes the standard horizon refraction, so high and maximum precision only
+   * adjust it for the observed pressure and temperature
    */
-  _calculateMaximumPrecisionSunrise(latitude, longitude, elevation, dateObj, pressure, temperature) {
+  _applyPrecisionCorrections(event, time, precision, observer, pressure, temperature) {
+    // Basic precision takes the event as reported; the true horizon has no atmosphere to correct for
+    if (!['high', 'maximum'].includes(precision) || !this.isSunriseRefracted() || !moment(time).isValid()) {
+      return time;
+    }
+
+    const excess = HORIZON_REFRACTION * (this._getRefractionFactor(pressure, temperature) - 1);
+    if (excess === 0) {
+      return time;
+    }
+
+    const declination = this._getSolarDeclination(time, observer);
+    const rate = this.calculateAltitudeRate(observer.latitude, declination, this.getSunriseAltitude(time));
+    if (!(rate > 0)) {
+      return time;
+    }
+
+    // Stronger refraction lifts the Sun sooner: sunrise earlier, sunset later
+    const sign = event === 'sunset' ? -1 : 1;
+    return new Date(time.getTime() - sign * (excess / rate) * 1000);
+  }
+
+  /**
+   * Get the ephemeris backend used for a capability
+   * @param {string} capability - 'riseSet', 'twilight' or 'solarPosition'
+   * @returns {Object} Backend
+   */
+  getBackend(capability) {
+    if (this.backend) {
+      return this.backend;
+    }
+
+    const defaults = this.precision === 'maximum' ? DEFAULT_BACKENDS.maximum : DEFAULT_BACKENDS.standard;
+    return getBackend(defaults[capability]);
+  }
+
+  /**
+   * Calculate true solar transit (local apparent noon)
+   * Uses Astronomy Engine's hour angle search, falling back to SunCalc's solar noon
+   */
+  calculateSolarTransit(latitude, longitude, elevation, date, timezone) {
+    const dateObj = moment.tz(date, timezone).startOf('day');
+
     try {
       const observer = new Astronomy.Observer(latitude, longitude, elevation);
       const searchDate = Astronomy.MakeTime(dateObj.toDate());
-      
-      // Calculate sunrise with atmospheric corrections
-      const sunrise = Astronomy.SearchRiseSet(
-        Astronomy.Body.Sun, 
-        observer, 
-        Astronomy.Direction.Rise, 
-        searchDate, 
-        1
-      );
-      
-      // Apply additional atmospheric refraction corrections
-      const refraction = this._calculateAtmosphericRefraction(pressure, temperature, latitude);
-      const correctedTime = moment(sunrise.date).subtract(refraction, 'seconds');
-      
-      return correctedTime.toDate();
+      const transit = Astronomy.SearchHourAngle(Astronomy.Body.Sun, observer, 0, searchDate);
+
+      return transit.time.date;
     } catch (_error) {
-      console.warn('Astronomy Engine calculation failed, falling back to high precision');
-      return this._calculateHighPrecisionSunrise(latitude, longitude, elevation, dateObj);
+      console.warn('Astronomy Engine transit search failed, falling back to SunCalc');
+      const times = SunCalc.getTimes(dateObj.toDate(), latitude, longitude);
+      return times.solarNoon;
     }
   }
 
   /**
-   * High precision using SunCalc with elevation and atmospheric corrections
+   * Get sunrise or sunset of a date as the first one after an instant: when the date's own event is not
+   * after it, as when the Sun sets after local midnight near the polar circles, the next date's is taken
+   * An invalid instant leaves the date's own event
    */
-  _calculateHighPrecisionSunrise(latitude, longitude, elevation, dateObj) {
-    const times = SunCalc.getTimes(dateObj.toDate(), latitude, longitude);
-    const sunrise = moment(times.sunrise);
-    
-    // Apply elevation correction
-    if (elevation > 0) {
-      const elevationCorrection = this._calculateElevationCorrection(elevation);
-      sunrise.add(elevationCorrection, 'minutes');
+  _calculateEventAfter(event, after, latitude, longitude, elevation, date, timezone, pressure, temperature, horizon) {
+    const method = event === 'sunset' ? 'calculateSunset' : 'calculateSunrise';
+    const time = this[method](latitude, longitude, elevation, date, timezone, pressure, temperature, horizon);
+    if (!moment(after).isValid() || time > after) {
+      return time;
     }
-    
-    // Apply basic atmospheric refraction
-    const basicRefraction = this._calculateBasicRefraction(latitude);
-    sunrise.subtract(basicRefraction, 'seconds');
-    
-    return sunrise.toDate();
-  }
 
-  /**
-   * Basic precision using SunCalc only
-   */
-  _calculateBasicSunrise(latitude, longitude, dateObj) {
-    const times = SunCalc.getTimes(dateObj.toDate(), latitude, longitude);
-    return times.sunrise;
+    const nextDate = moment.tz(date, timezone).add(1, 'day').format('YYYY-MM-DD');
+    return this[method](latitude, longitude, elevation, nextDate, timezone, pressure, temperature, horizon);
   }
 
   /**
-   * Calculate elevation correction for sunrise time
-   * Formula: -1.76 * sqrt(elevation_in_meters) minutes
+   * Calculate the night ending at the date's sunrise, from the sunset following the previous day's sunrise
+   * @returns {Object} { previousSunset, sunrise, durationSeconds, durationFormatted },
+   *   durationSeconds is null when either event does not occur
    */
-  _calculateElevationCorrection(elevation) {
-    return -1.76 * Math.sqrt(elevation) / 60; // Convert to minutes
+  calculateNightSpan(latitude, longitude, elevation, date, timezone, pressure = 1013.25, temperature = 15, horizon = null) {
+    const previousDate = moment.tz(date, timezone).subtract(1, 'day').format('YYYY-MM-DD');
+
+    const previousSunrise = this.calculateSunrise(
+      latitude, longitude, elevation, previousDate, timezone, pressure, temperature, horizon
+    );
+    const previousSunset = this._calculateEventAfter(
+      'sunset', previousSunrise, latitude, longitude, elevation, previousDate, timezone, pressure, temperature, horizon
+    );
+    const sunrise = this.calculateSunrise(
+      latitude, longitude, elevation, date, timezone, pressure, temperature, horizon
+    );
+
+    const valid = moment(previousSunset).isValid() && moment(sunrise).isValid();
+    const durationSeconds = valid ? moment(sunrise).diff(moment(previousSunset), 'milliseconds') / 1000 : null;
+
+    return {
+      previousSunset,
+      sunrise,
+      durationSeconds,
+      durationFormatted: valid ? this._formatDuration(Math.round(durationSeconds / 60)) : null
+    };
   }
 
   /**
-   * Calculate basic atmospheric refraction correction
+   * Calculate the ahoratra (full Hindu day) for a date:
+   * sunrise, sunset and the following sunrise with day and night spans
+   * Sunset is the first after sunrise and the next sunrise the first after sunset, even past local midnight
+   * Events that do not occur are invalid; MuhuratCalculator.calculateSunTimes applies the polar policy
+   * @returns {Object} { sunrise, sunset, nextSunrise, dayMinutes, nightMinutes }
    */
-  _calculateBasicRefraction(latitude) {
-    // Standard refraction at horizon is approximately 34 arcminutes
-    // This translates to about 2.3 minutes time correction
-    const standardRefraction = 34; // arcminutes
-    const latitudeCorrection = Math.cos(latitude * Math.PI / 180);
-    return (standardRefraction * latitudeCorrection * 4) / 60; // Convert to seconds
+  calculateAhoratra(latitude, longitude, elevation, date, timezone, pressure = 1013.25, temperature = 15, horizon = null) {
+    const nextDate = moment.tz(date, timezone).add(1, 'day').format('YYYY-MM-DD');
+
+    const sunrise = this.calculateSunrise(latitude, longitude, elevation, date, timezone, pressure, temperature, horizon);
+    const sunset = this._calculateEventAfter(
+      'sunset', sunrise, latitude, longitude, elevation, date, timezone, pressure, temperature, horizon
+    );
+    const nextSunrise = this._calculateEventAfter(
+      'sunrise', sunset, latitude, longitude, elevation, nextDate, timezone, pressure, temperature, horizon
+    );
+
+    return {
+      sunrise,
+      sunset,
+      nextSunrise,
+      dayMinutes: moment(sunset).diff(moment(sunrise), 'seconds') / 60,
+      nightMinutes: moment(nextSunrise).diff(moment(sunset), 'seconds') / 60
+    };
   }
 
   /**
-   * Calculate atmospheric refraction with pressure and temperature
+   * Scale of atmospheric refraction relative to standard conditions (1013.25 mbar, 15°C)
    */
-  _calculateAtmosphericRefraction(pressure, temperature, latitude) {
-    const standardPressure = 1013.25; // mbar
-    const standardTemperature = 15; // Celsius
-    
-    // Pressure correction factor
-    const pressureFactor = pressure / standardPressure;
-    
-    // Temperature correction factor (Kelvin)
-    const tempFactor = (273.15 + standardTemperature) / (273.15 + temperature);
-    
-    // Combined refraction correction
-    const baseRefraction = this._calculateBasicRefraction(latitude);
-    return baseRefraction * pressureFactor * tempFactor;
+  _getRefractionFactor(pressure, temperature) {
+    return (pressure / 1013.25) * (288.15 / (273.15 + temperature));
   }
 
   /**
    * Calculate solar position for given coordinates and time
    */
   calculateSolarPosition(latitude, longitude, date, timezone) {
-    const dateObj = moment.tz(date, timezone);
-    
+    const instant = moment.tz(date, timezone).toDate();
+    const observer = { latitude, longitude, elevation: 0 };
+
     try {
-      // Use Astronomy Engine for precise solar position
-      const observer = new Astronomy.Observer(latitude, longitude, 0);
-      const time = Astronomy.MakeTime(dateObj.toDate());
-      const equatorial = Astronomy.Equator(Astronomy.Body.Sun, time, observer, true, true);
-      const horizontal = Astronomy.Horizon(time, observer, equatorial.ra, equatorial.dec, 'normal');
-      
-      return {
-        azimuth: horizontal.azimuth,
-        elevation: horizontal.altitude,
-        rightAscension: equatorial.ra,
-        declination: equatorial.dec
-      };
+      return this.getBackend('solarPosition').getSolarPosition(observer, instant);
     } catch (_error) {
       // Fallback to SunCalc
-      const position = SunCalc.getPosition(dateObj.toDate(), latitude, longitude);
-      return {
-        azimuth: position.azimuth * 180 / Math.PI, // Convert to degrees
-        elevation: position.altitude * 180 / Math.PI,
-        rightAscension: null,
-        declination: null
-      };
+      return getBackend('suncalc').getSolarPosition(observer, instant);
     }
   }
 
   /**
-   * Get astronomical twilight times
+   * Calculate geocentric tropical ecliptic longitudes of the Sun and Moon
+   * Longitudes are referred to the true equinox of date
+   * @param {Date} date - Instant of calculation
+   * @returns {Object} { sun, moon } longitudes in degrees
    */
-  getTwilightTimes(latitude, longitude, date, timezone) {
-    const dateObj = moment.tz(date, timezone).toDate();
-    const times = SunCalc.getTimes(dateObj, latitude, longitude);
-    
+  calculateTropicalLongitudes(date) {
+    const time = Astronomy.MakeTime(new Date(date));
+
+    return {
+      sun: Astronomy.SunPosition(time).elon,
+      moon: Astronomy.EclipticGeoMoon(time).lon
+    };
+  }
+
+  /**
+   * Calculate lunar phase data at a given instant
+   * @param {Date} date - Instant of calculation
+   * @returns {Object} Illumination, phase angle, elongation, age and next new/full moon
+   */
+  calculateLunarData(date) {
+    const time = Astronomy.MakeTime(new Date(date));
+    const illumination = Astronomy.Illumination(Astronomy.Body.Moon, time);
+    const distanceKm = illumination.geo_dist * Astronomy.KM_PER_AU;
+
+    const previousNewMoon = Astronomy.SearchMoonPhase(0, time, -35);
+    const nextNewMoon = Astronomy.SearchMoonPhase(0, time, 35);
+    const nextFullMoon = Astronomy.SearchMoonPhase(180, time, 35);
+
+    return {
+      illuminatedFraction: illumination.phase_fraction,
+      phaseAngle: illumination.phase_angle,
+      elongation: Astronomy.MoonPhase(time),
+      ageDays: moment(time.date).diff(moment(previousNewMoon.date), 'seconds') / 86400,
+      distanceKm,
+      angularDiameter: 2 * Math.asin(MOON_RADIUS_KM / distanceKm) * 180 / Math.PI,
+      previousNewMoon: previousNewMoon.date,
+      nextNewMoon: nextNewMoon.date,
+      nextFullMoon: nextFullMoon.date
+    };
+  }
+
+  /**
+   * Calculate moonrise and moonset for a local calendar date
+   * Either may be null: the Moon does not rise or set every calendar day
+   * @returns {Object} { moonrise, moonset }
+   */
+  calculateMoonRiseSet(latitude, longitude, elevation, date, timezone) {
+    const dateObj = moment.tz(date, timezone).startOf('day');
+    const dayLength = dateObj.clone().add(1, 'day').diff(dateObj, 'seconds') / 86400;
+    const observer = new Astronomy.Observer(latitude, longitude, elevation);
+    const searchDate = Astronomy.MakeTime(dateObj.toDate());
+
+    const moonrise = Astronomy.SearchRiseSet(Astronomy.Body.Moon, observer, +1, searchDate, dayLength);
+    const moonset = Astronomy.SearchRiseSet(Astronomy.Body.Moon, observer, -1, searchDate, dayLength);
+
+    return {
+      moonrise: moonrise ? moonrise.date : null,
+      moonset: moonset ? moonset.date : null
+    };
+  }
+
+  /**
+   * Calculate the Moon's topocentric horizontal position at an instant
+   * Altitude includes standard atmospheric refraction
+   * @returns {Object} { altitude, azimuth } in degrees
+   */
+  calculateMoonPosition(latitude, longitude, elevation, date) {
+    const observer = new Astronomy.Observer(latitude, longitude, elevation);
+    const time = Astronomy.MakeTime(new Date(date));
+    const equatorial = Astronomy.Equator(Astronomy.Body.Moon, time, observer, true, true);
+    const horizontal = Astronomy.Horizon(time, observer, equatorial.ra, equatorial.dec, 'normal');
+
     return {
-      astronomicalDawn: times.nightEnd,
-      nauticalDawn: times.nauticalDawn,
-      civilDawn: times.dawn,
-      sunrise: times.sunrise,
-      sunset: times.sunset,
-      civilDusk: times.dusk,
-      nauticalDusk: times.nauticalDusk,
-      astronomicalDusk: times.night
+      altitude: horizontal.altitude,
+      azimuth: horizontal.azimuth
     };
   }
 
+  /**
+   * Get civil, nautical and astronomical twilight times from the twilight backend
+   * @param {Array<number>} depressionAngles - Extra solar depression angles, reported under `custom`
+   */
+  getTwilightTimes(latitude, longitude, date, timezone, depressionAngles = []) {
+    const start = moment.tz(date, timezone).startOf('day').toDate();
+    const twilight = this.getBackend('twilight').getTwilight({ latitude, longitude, elevation: 0 }, start);
+
+    if (depressionAngles.length === 0) {
+      return twilight;
+    }
+
+    return {
+      ...twilight,
+      custom: depressionAngles.map(depression =>
+        this.getDepressionTimes(latitude, longitude, date, timezone, depression)
+      )
+    };
+  }
+
+  /**
+   * Get the times at which the Sun's centre is a given angle below the horizon
+   * @param {number} depression - Degrees below the geometric horizon, e.g. 16 for the Sun at -16°
+   * @returns {Object} { depression, dawn, dusk }, invalid dates when the Sun never reaches the angle
+   */
+  getDepressionTimes(latitude, longitude, date, timezone, depression) {
+    AstronomicalCalculator.validateDepressionAngle(depression);
+
+    const start = moment.tz(date, timezone).startOf('day').toDate();
+
+    return {
+      depression,
+      dawn: this.searchSolarAltitude(latitude, longitude, start, -depression, 'rise'),
+      dusk: this.searchSolarAltitude(latitude, longitude, start, -depression, 'set')
+    };
+  }
+
+  /**
+   * First instant within 24 hours of `start` at which the Sun's centre crosses a geometric altitude,
+   * searched with the twilight backend
+   * @param {string} direction - 'rise' or 'set'
+   * @returns {Date} Crossing time, invalid when the Sun does not cross the altitude
+   */
+  searchSolarAltitude(latitude, longitude, start, altitude, direction) {
+    let backend = this.getBackend('twilight');
+
+    if (typeof backend.searchAltitude !== 'function') {
+      console.warn(`${backend.name || backend.id} cannot search custom altitudes, using ${ALTITUDE_SEARCH_FALLBACK}`);
+      backend = getBackend(ALTITUDE_SEARCH_FALLBACK);
+    }
+
+    return backend.searchAltitude({ latitude, longitude, elevation: 0 }, start, altitude, direction);
+  }
+
   /**
    * Calculate day length for given location and date
+   * The night is the one following the day, from sunset to the next day's sunrise; all three events are
+   * the corrected ones calculateAhoratra returns, so the lengths agree with calculateNightSpan
+   * Lengths are null when an event does not occur
    */
-  calculateDayLength(latitude, longitude, date, timezone) {
-    const times = this.getTwilightTimes(latitude, longitude, date, timezone);
-    const dayLength = moment(times.sunset).diff(moment(times.sunrise), 'minutes');
-    const nightLength = 1440 - dayLength; // 1440 minutes in a day
+  calculateDayLength(latitude, longitude, date, timezone, elevation = 0, pressure = 1013.25, temperature = 15, horizon = null) {
+    const { sunrise, sunset, nextSunrise } = this.calculateAhoratra(
+      latitude, longitude, elevation, date, timezone, pressure, temperature, horizon
+    );
+    const dayLength = this._minutesBetween(sunrise, sunset);
+    const nightLength = this._minutesBetween(sunset, nextSunrise);
     
     return {
       dayLength: dayLength,
@@ -209,10 +693,90 @@ class AstronomicalCalculator {
     };
   }
 
+  /**
+   * Classify the solar day at a location with the rise/set backend; a backend failure falls back to SunCalc
+   * The day is normal when the Sun rises on the local date, found as calculateSunrise finds it, and sets
+   * within 24 hours of that sunrise, which may be after the next local midnight
+   * @returns {string} 'normal', 'midnight-sun' (Sun never sets) or 'polar-night' (Sun never rises)
+   */
+  getSolarDayStatus(latitude, longitude, date, timezone) {
+    const observer = { latitude, longitude, elevation: 0 };
+    const crossesHorizon = backend => {
+      const sunrise = this._searchEventOnLocalDate(backend, 'sunrise', observer, date, timezone);
+      return moment(sunrise).isValid() && moment(backend.getRiseSet(observer, sunrise).sunset).isValid();
+    };
+
+    let normal;
+    try {
+      normal = crossesHorizon(this.getBackend('riseSet'));
+    } catch (_error) {
+      normal = crossesHorizon(getBackend('suncalc'));
+    }
+
+    if (normal) {
+      return 'normal';
+    }
+
+    // Without an event the Sun stays on one side of the horizon, so its geometric altitude at transit
+    // tells which
+    const transit = this.calculateSolarTransit(latitude, longitude, 0, date, timezone);
+    const transitAltitude = 90 - Math.abs(latitude - this._getSolarDeclination(transit, observer));
+    return transitAltitude > SUNRISE_ALTITUDE ? 'midnight-sun' : 'polar-night';
+  }
+
+  /**
+   * Find the latitude closest to the given one, towards the equator, where the Sun rises and sets
+   */
+  findNearestNormalLatitude(latitude, longitude, date, timezone) {
+    const direction = latitude >= 0 ? -1 : 1;
+
+    for (let steps = 1; steps * LATITUDE_STEP <= Math.abs(latitude); steps++) {
+      const candidate = Math.round((latitude + direction * steps * LATITUDE_STEP) * 100) / 100;
+      if (this.getSolarDayStatus(candidate, longitude, date, timezone) === 'normal') {
+        return candidate;
+      }
+    }
+
+    return 0;
+  }
+
+  /**
+   * Find the nearest date at this location on which the Sun rises and sets
+   * @returns {number} Signed offset in days, earlier dates preferred on ties
+   */
+  findNearestNormalDay(latitude, longitude, date, timezone) {
+    const dateMoment = moment.tz(date, timezone);
+
+    // A polar day or night never lasts more than half a year
+    for (let offset = 1; offset <= 183; offset++) {
+      for (const signed of [-offset, offset]) {
+        const candidate = dateMoment.clone().add(signed, 'days').format('YYYY-MM-DD');
+        if (this.getSolarDayStatus(latitude, longitude, candidate, timezone) === 'normal') {
+          return signed;
+        }
+      }
+    }
+
+    throw new Error(`No sunrise within half a year of ${dateMoment.format('YYYY-MM-DD')} at latitude ${latitude}`);
+  }
+
+  /**
+   * Whole minutes from one event to a later one, or null when either does not occur
+   */
+  _minutesBetween(from, to) {
+    const valid = moment(from).isValid() && moment(to).isValid();
+    return valid ? moment(to).diff(moment(from), 'minutes') : null;
+  }
+
   /**
    * Format duration in minutes to hours and minutes
+   * @returns {string|null} null for a negative or missing duration
    */
   _formatDuration(minutes) {
+    if (!Number.isFinite(minutes) || minutes < 0) {
+      return null;
+    }
+
     const hours = Math.floor(minutes / 60);
     const mins = minutes % 60;
     return `${hours}h ${mins}m`;
@@ -235,6 +799,29 @@ class AstronomicalCalculator {
       throw new Error('Invalid date format');
     }
   }
+
+  /**
+   * Get the supported sunrise definitions
+   */
+  static getSunriseDefinitions() {
+    return Object.keys(SUNRISE_DEFINITIONS);
+  }
+
+  /**
+   * Get the supported day anchoring policies
+   */
+  static getDayAnchors() {
+    return [...DAY_ANCHORS];
+  }
+
+  /**
+   * Validate a solar depression angle, in degrees below the horizon
+   */
+  static validateDepressionAngle(depression) {
+    if (typeof depression !== 'number' || isNaN(depression) || depression < 0 || depression >= 90) {
+      throw new Error(`Invalid depression angle: ${depression}. Use degrees below the horizon between 0 and 90`);
+    }
+  }
 }
 
 module.exports = AstronomicalCalculator;
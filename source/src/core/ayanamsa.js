@@ -0,0 +1,168 @@
+/**
+ * Ayanamsa calculations for converting tropical longitudes to sidereal (nirayana)
+ * Built-in systems grow with the general precession in longitude from their J2000.0 value;
+ * custom systems are defined by a value at an epoch and a yearly rate
+ */
+
+const moment = require('moment-timezone');
+
+const J2000 = Date.UTC(2000, 0, 1, 12, 0, 0);
+const MS_PER_JULIAN_CENTURY = 36525 * 86400000;
+const MS_PER_JULIAN_YEAR = 365.25 * 86400000;
+
+// Mean general precession in longitude, arcseconds per year
+const DEFAULT_RATE = 50.28796195;
+
+const AYANAMSA_SYSTEMS = {
+  lahiri: {
+    name: 'Lahiri (Chitrapaksha)',
+    valueAtJ2000: 23.857092,
+    description: 'Official ayanamsa of the Indian Calendar Reform Committee'
+  },
+  raman: {
+    name: 'B. V. Raman',
+    valueAtJ2000: 22.410791,
+    description: 'Used in B. V. Raman\'s ephemerides and many South Indian almanacs'
+  },
+  kp: {
+    name: 'Krishnamurti (KP)',
+    valueAtJ2000: 23.760240,
+    description: 'Krishnamurti Paddhati, close to Lahiri with a smaller offset'
+  },
+  faganBradley: {
+    name: 'Fagan-Bradley',
+    valueAtJ2000: 24.740300,
+    description: 'Standard ayanamsa of Western sidereal astrology'
+  }
+};
+
+class AyanamsaCalculator {
+  /**
+   * @param {Object} options - Configuration options
+   * @param {string|Object} options.system - Built-in system id, 'custom', or a custom definition
+   * @param {Object} options.definition - Custom definition { epoch, valueAtEpoch, ratePerYear, name }
+   */
+  constructor(options = {}) {
+    const system = options.system || 'lahiri';
+
+    if (typeof system === 'object') {
+      this.system = 'custom';
+      this.definition = this._validateDefinition(system);
+    } else if (system === 'custom') {
+      this.system = 'custom';
+      this.definition = this._validateDefinition(options.definition);
+    } else if (AYANAMSA_SYSTEMS[system]) {
+      this.system = system;
+      this.definition = null;
+    } else {
+      throw new Error(`Unsupported ayanamsa system: ${system}`);
+    }
+  }
+
+  /**
+   * Calculate ayanamsa for a given instant
+   * @param {Date} date - Instant of calculation
+   * @returns {number} Ayanamsa in degrees
+   */
+  getAyanamsa(date) {
+    const instant = new Date(date).getTime();
+
+    if (this.definition) {
+      const years = (instant - this.definition.epoch.getTime()) / MS_PER_JULIAN_YEAR;
+      return this.definition.valueAtEpoch + (years * this.definition.ratePerYear) / 3600;
+    }
+
+    const T = (instant - J2000) / MS_PER_JULIAN_CENTURY;
+
+    // IAU 2006 general precession in longitude (arcseconds)
+    const precession = 5028.796195 * T + 1.1054348 * T * T;
+
+    return AYANAMSA_SYSTEMS[this.system].valueAtJ2000 + precession / 3600;
+  }
+
+  /**
+   * Convert a tropical (sayana) longitude to sidereal (nirayana)
+   * @param {number} tropicalLongitude - Tropical longitude in degrees
+   * @param {Date} date - Instant of the longitude
+   * @returns {number} Sidereal longitude in degrees (0-360)
+   */
+  toSidereal(tropicalLongitude, date) {
+    const sidereal = (tropicalLongitude - this.getAyanamsa(date)) % 360;
+    return sidereal < 0 ? sidereal + 360 : sidereal;
+  }
+
+  /**
+   * Convert a set of tropical longitudes, e.g. from AstronomicalCalculator, to sidereal
+   * @param {Object} longitudes - Map of body name to tropical longitude in degrees
+   * @param {Date} date - Instant of the longitudes
+   * @returns {Object} Map of body name to sidereal longitude in degrees
+   */
+  convertLongitudes(longitudes, date) {
+    const sidereal = {};
+    Object.keys(longitudes).forEach(body => {
+      sidereal[body] = this.toSidereal(longitudes[body], date);
+    });
+    return sidereal;
+  }
+
+  /**
+   * Convert a sidereal (nirayana) longitude back to tropical (sayana)
+   * @param {number} siderealLongitude - Sidereal longitude in degrees
+   * @param {Date} date - Instant of the longitude
+   * @returns {number} Tropical longitude in degrees (0-360)
+   */
+  toTropical(siderealLongitude, date) {
+    return (siderealLongitude + this.getAyanamsa(date)) % 360;
+  }
+
+  /**
+   * Get ayanamsa system information
+   */
+  getSystemInfo() {
+    if (this.definition) {
+      return {
+        id: 'custom',
+        name: this.definition.name,
+        epoch: this.definition.epoch,
+        valueAtEpoch: this.definition.valueAtEpoch,
+        ratePerYear: this.definition.ratePerYear,
+        description: 'User-defined ayanamsa'
+      };
+    }
+
+    return { id: this.system, ...AYANAMSA_SYSTEMS[this.system] };
+  }
+
+  /**
+   * Validate and normalise a custom ayanamsa definition
+   */
+  _validateDefinition(definition) {
+    if (!definition || typeof definition !== 'object') {
+      throw new Error('Custom ayanamsa requires a definition with epoch and valueAtEpoch');
+    }
+
+    const { epoch, valueAtEpoch, ratePerYear = DEFAULT_RATE, name = 'Custom' } = definition;
+    const epochMoment = moment.utc(epoch);
+
+    if (epoch === undefined || !epochMoment.isValid()) {
+      throw new Error('Custom ayanamsa epoch must be a valid date');
+    }
+    if (typeof valueAtEpoch !== 'number' || isNaN(valueAtEpoch)) {
+      throw new Error('Custom ayanamsa valueAtEpoch must be a number of degrees');
+    }
+    if (typeof ratePerYear !== 'number' || isNaN(ratePerYear)) {
+      throw new Error('Custom ayanamsa ratePerYear must be a number of arcseconds');
+    }
+
+    return { epoch: epochMoment.toDate(), valueAtEpoch, ratePerYear, name };
+  }
+
+  /**
+   * Get the ids of the built-in ayanamsa systems
+   */
+  static getSupportedSystems() {
+    return [...Object.keys(AYANAMSA_SYSTEMS), 'custom'];
+  }
+}
+
+module.exports = AyanamsaCalculator;
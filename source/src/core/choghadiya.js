@@ -0,0 +1,112 @@
+/**
+ * Choghadiya calculation: eight day and eight night segments
+ * Day runs from sunrise to sunset, night from sunset to the next sunrise
+ */
+
+const moment = require('moment-timezone');
+const AhoratraCalculator = require('./ahoratra');
+const { WEEKDAYS, validateDayInputs } = require('./solarday');
+const { formatTimePoint, parseDateInput, divideTimeSpan } = require('../utils/time');
+
+// Cyclic order of the seven choghadiyas
+const CHOGHADIYAS = ['Udveg', 'Char', 'Labh', 'Amrit', 'Kaal', 'Shubh', 'Rog'];
+
+const CHOGHADIYA_INFO = {
+  Udveg: { quality: 'bad', lord: 'Sun', meaning: 'Anxiety - avoid new undertakings' },
+  Char: { quality: 'good', lord: 'Venus', meaning: 'Moving - good for travel' },
+  Labh: { quality: 'good', lord: 'Mercury', meaning: 'Gain - good for business and study' },
+  Amrit: { quality: 'good', lord: 'Moon', meaning: 'Nectar - best for all work' },
+  Kaal: { quality: 'bad', lord: 'Saturn', meaning: 'Loss - avoid auspicious work' },
+  Shubh: { quality: 'good', lord: 'Jupiter', meaning: 'Auspicious - good for ceremonies' },
+  Rog: { quality: 'bad', lord: 'Mars', meaning: 'Disease - avoid auspicious work' }
+};
+
+// Index into CHOGHADIYAS of the first segment for each weekday, Sunday first
+const DAY_START = [0, 3, 6, 2, 5, 1, 4];
+const NIGHT_START = [5, 1, 4, 0, 3, 6, 2];
+
+// Day segments advance one step through the cycle, night segments go back two
+const DAY_STEP = 1;
+const NIGHT_STEP = 5;
+
+class ChoghadiyaCalculator {
+  constructor(options = {}) {
+    this.precision = options.precision || 'high';
+    this.ahoratraCalc = new AhoratraCalculator({ precision: this.precision, muhuratCalc: options.muhuratCalc });
+  }
+
+  /**
+   * Calculate day and night Choghadiya tables for given location and date
+   * @param {Object} params - Calculation parameters
+   * @returns {Object} Day and night Choghadiya segments
+   */
+  calculate(params) {
+    const {
+      latitude,
+      longitude,
+      elevation = 0,
+      date,
+      timezone
+    } = params;
+
+    validateDayInputs(params);
+
+    const ahoratra = this.ahoratraCalc.calculateAhoratra(params);
+    const weekday = moment.tz(date, timezone).day();
+
+    return {
+      location: {
+        latitude,
+        longitude,
+        elevation,
+        timezone
+      },
+      date: parseDateInput(date),
+      weekday: WEEKDAYS[weekday],
+      solarStatus: ahoratra.solarStatus,
+      sunrise: formatTimePoint(ahoratra.sunrise, timezone),
+      sunset: formatTimePoint(ahoratra.sunset, timezone),
+      nextSunrise: formatTimePoint(ahoratra.nextSunrise, timezone),
+      day: this._buildSegments(ahoratra.sunrise, ahoratra.sunset, DAY_START[weekday], DAY_STEP, 'day', timezone),
+      night: this._buildSegments(ahoratra.sunset, ahoratra.nextSunrise, NIGHT_START[weekday], NIGHT_STEP, 'night', timezone),
+      calculationDetails: {
+        precision: this.precision,
+        timestamp: new Date().toISOString()
+      }
+    };
+  }
+
+  /**
+   * Split a span into eight named Choghadiya segments
+   */
+  _buildSegments(start, end, startIndex, step, period, timezone) {
+    const segments = divideTimeSpan(start, end, 8);
+
+    return segments.map((segment, i) => {
+      const name = CHOGHADIYAS[(startIndex + i * step) % CHOGHADIYAS.length];
+      const info = CHOGHADIYA_INFO[name];
+
+      return {
+        index: i + 1,
+        name,
+        period,
+        quality: info.quality,
+        isAuspicious: info.quality === 'good',
+        lord: info.lord,
+        meaning: info.meaning,
+        start: formatTimePoint(segment.start, timezone),
+        end: formatTimePoint(segment.end, timezone),
+        durationMinutes: moment(segment.end).diff(moment(segment.start), 'seconds') / 60
+      };
+    });
+  }
+
+  /**
+   * Get Choghadiya names with their classification
+   */
+  static getChoghadiyaInfo() {
+    return CHOGHADIYAS.map(name => ({ name, ...CHOGHADIYA_INFO[name] }));
+  }
+}
+
+module.exports = ChoghadiyaCalculator;
@@ -0,0 +1,223 @@
+/**
+ * Cross-validation of sunrise methods
+ * Runs the same parameters through every precision level and ephemeris backend,
+ * reports pairwise differences and flags methods that stray from the consensus
+ */
+
+const moment = require('moment-timezone');
+const MuhuratCalculator = require('./muhurat');
+const { getBackendIds } = require('./ephemeris');
+const { validateDayInputs } = require('./solarday');
+const { formatTimePoint, parseDateInput } = require('../utils/time');
+
+// SunCalc's low-precision formulae run one to three minutes late at mid-latitudes
+const SUNCALC_TOLERANCE_SECONDS = 240;
+
+// Built-in methods: the three precision levels with their default backends
+const PRECISION_METHODS = [
+  { id: 'suncalc-basic', precision: 'basic', ephemeris: null, toleranceSeconds: SUNCALC_TOLERANCE_SECONDS },
+  { id: 'suncalc-high', precision: 'high', ephemeris: null, toleranceSeconds: SUNCALC_TOLERANCE_SECONDS },
+  { id: 'astronomy-engine-maximum', precision: 'maximum', ephemeris: null }
+];
+
+const DEFAULT_THRESHOLD_SECONDS = 60;
+
+class CrossValidationCalculator {
+  /**
+   * @param {Object} options - Settings shared by every method
+   * @param {string|Object} options.traditionType - Tradition id or definition for the Brahma Muhurat start
+   * @param {number} options.depressionAngle - Solar depression for the 'depression' tradition
+   * @param {string} options.depressionEnd - End of the 'depression' tradition muhurat
+   * @param {string} options.polarPolicy - Polar day/night fallback policy
+   * @param {string} options.dayAnchor - Where the sunrise and sunset search starts
+   * @param {string} options.sunriseDefinition - Point of the Sun and horizon that mark sunrise
+   * @param {number} options.thresholdSeconds - Deviation from consensus that flags a method; methods with
+   *   a known lower accuracy (toleranceSeconds) are only flagged beyond their tolerance
+   */
+  constructor(options = {}) {
+    this.traditionType = options.traditionType || 'standard';
+    this.depressionAngle = options.depressionAngle;
+    this.depressionEnd = options.depressionEnd;
+    this.polarPolicy = options.polarPolicy || 'nearest-latitude';
+    this.dayAnchor = options.dayAnchor || 'local-midnight';
+    this.sunriseDefinition = options.sunriseDefinition || 'upper-limb';
+    this.thresholdSeconds = options.thresholdSeconds === undefined ? DEFAULT_THRESHOLD_SECONDS : options.thresholdSeconds;
+  }
+
+  /**
+   * Get the methods compared: each precision level, then every other registered backend uncorrected
+   * @returns {Array<Object>} { id, precision, ephemeris, toleranceSeconds }
+   */
+  getMethods() {
+    const backendMethods = getBackendIds()
+      .filter(id => id !== 'suncalc')
+      .map(id => ({ id, precision: 'basic', ephemeris: id }));
+
+    return [...PRECISION_METHODS, ...backendMethods];
+  }
+
+  /**
+   * Run every method for a location and date
+   * @param {Object} params - Same parameters as BrahmaMuhuratCalculator.calculate
+   * @param {Object} options - { thresholdSeconds } overriding the constructor setting
+   * @returns {Object} Per-method times, pairwise differences, consensus and flagged methods
+   */
+  calculate(params, options = {}) {
+    const {
+      latitude,
+      longitude,
+      elevation = 0,
+      date,
+      timezone
+    } = params;
+
+    validateDayInputs(params);
+
+    const thresholdSeconds = options.thresholdSeconds === undefined ? this.thresholdSeconds : options.thresholdSeconds;
+    const results = this.getMethods().map(method => this._runMethod(method, params));
+    const valid = results.filter(result => !result.error);
+
+    const consensus = {
+      sunrise: this._median(valid.map(result => result.sunrise)),
+      sunset: this._median(valid.map(result => result.sunset))
+    };
+
+    const methods = results.map(result => {
+      if (result.error) {
+        return { ...result, deviationSeconds: null, isFlagged: true };
+      }
+
+      const limitSeconds = Math.max(thresholdSeconds, result.toleranceSeconds || 0);
+
+      const deviationSeconds = Math.max(
+        this._absSeconds(result.sunrise, consensus.sunrise),
+        this._absSeconds(result.sunset, consensus.sunset)
+      );
+
+      return {
+        id: result.id,
+        precision: result.precision,
+        ephemeris: result.ephemeris,
+        toleranceSeconds: result.toleranceSeconds || null,
+        sunrise: formatTimePoint(result.sunrise, timezone),
+        sunset: formatTimePoint(result.sunset, timezone),
+        brahmaMuhuratStart: formatTimePoint(result.brahmaMuhuratStart, timezone),
+        deviationSeconds: isFinite(deviationSeconds) ? Math.round(deviationSeconds * 10) / 10 : null,
+        isFlagged: deviationSeconds > limitSeconds
+      };
+    });
+
+    const differences = [];
+    for (let i = 0; i < valid.length; i++) {
+      for (let j = i + 1; j < valid.length; j++) {
+        differences.push({
+          methods: [valid[i].id, valid[j].id],
+          sunriseSeconds: this._signedSeconds(valid[i].sunrise, valid[j].sunrise),
+          sunsetSeconds: this._signedSeconds(valid[i].sunset, valid[j].sunset)
+        });
+      }
+    }
+
+    const flagged = methods.filter(method => method.isFlagged).map(method => method.id);
+    const spreads = differences
+      .map(difference => Math.abs(difference.sunriseSeconds))
+      .filter(seconds => !isNaN(seconds));
+
+    return {
+      location: {
+        latitude,
+        longitude,
+        elevation,
+        timezone
+      },
+      date: parseDateInput(date),
+      thresholdSeconds,
+      methods,
+      differences,
+      consensus: {
+        sunrise: formatTimePoint(consensus.sunrise, timezone),
+        sunset: formatTimePoint(consensus.sunset, timezone)
+      },
+      maxSunriseSpreadSeconds: spreads.length ? Math.max(...spreads) : null,
+      flagged,
+      isConsistent: flagged.length === 0,
+      calculationDetails: {
+        traditionType: typeof this.traditionType === 'object' ? this.traditionType.id : this.traditionType,
+        polarPolicy: this.polarPolicy,
+        dayAnchor: this.dayAnchor,
+        sunriseDefinition: this.sunriseDefinition,
+        timestamp: new Date().toISOString()
+      }
+    };
+  }
+
+  /**
+   * Sunrise, sunset and Brahma Muhurat start for one method; failures are reported, not thrown
+   * Sunrise and sunset both follow the polar fallback and local horizon of the parameters
+   */
+  _runMethod(method, params) {
+    try {
+      const muhuratCalc = new MuhuratCalculator({
+        precision: method.precision,
+        ephemeris: method.ephemeris || undefined,
+        traditionType: this.traditionType,
+        depressionAngle: this.depressionAngle,
+        depressionEnd: this.depressionEnd,
+        polarPolicy: this.polarPolicy,
+        dayAnchor: this.dayAnchor,
+        sunriseDefinition: this.sunriseDefinition
+      });
+      const window = muhuratCalc.calculateWindow(params);
+      const { sunset } = muhuratCalc.calculateSunTimes(params);
+
+      return {
+        ...method,
+        sunrise: window.sunrise,
+        sunset,
+        brahmaMuhuratStart: window.start
+      };
+    } catch (error) {
+      return { ...method, error: error.message };
+    }
+  }
+
+  /**
+   * Median instant of the valid dates, or an invalid Date when there are none
+   */
+  _median(dates) {
+    const times = dates
+      .filter(date => moment(date).isValid())
+      .map(date => date.getTime())
+      .sort((a, b) => a - b);
+
+    if (times.length === 0) {
+      return new Date(NaN);
+    }
+
+    const middle = Math.floor(times.length / 2);
+    const median = times.length % 2 ? times[middle] : (times[middle - 1] + times[middle]) / 2;
+    return new Date(Math.round(median));
+  }
+
+  _signedSeconds(a, b) {
+    return Math.round((new Date(a) - new Date(b)) / 100) / 10;
+  }
+
+  /**
+   * Absolute difference in seconds; a missing event only counts when the other side has one
+   */
+  _absSeconds(a, b) {
+    const aValid = moment(a).isValid();
+    const bValid = moment(b).isValid();
+
+    if (!aValid && !bValid) {
+      return 0;
+    }
+    if (!aValid || !bValid) {
+      return Infinity;
+    }
+    return Math.abs(new Date(a) - new Date(b)) / 1000;
+  }
+}
+
+module.exports = CrossValidationCalculator;
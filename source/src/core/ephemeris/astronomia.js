@@ -0,0 +1,162 @@
+/**
+ * Astronomia ephemeris backend
+ * Full VSOP87 solar theory with Meeus' interpolated rise/set algorithm (Astronomical Algorithms, ch. 15)
+ */
+
+const { julian, sidereal, deltat, solar, planetposition, rise, globe, coord, refraction } = require('astronomia');
+const vsop87Bearth = require('astronomia/data/vsop87Bearth').default;
+
+const D2R = Math.PI / 180;
+const R2D = 180 / Math.PI;
+const MS_PER_DAY = 86400000;
+
+// Standard altitude of the Sun's centre at sunrise: refraction plus semi-diameter
+const SUNRISE_ALTITUDE = -0.8333;
+
+// Solar depression angles for the three twilights, in degrees
+const TWILIGHT_ALTITUDES = {
+  civil: -6,
+  nautical: -12,
+  astronomical: -18
+};
+
+class AstronomiaBackend {
+  constructor() {
+    this.id = 'astronomia';
+    this.name = 'Astronomia (VSOP87)';
+    this.description = 'Full VSOP87 theory from the astronomia library, independent of Astronomy Engine';
+    this.earth = new planetposition.Planet(vsop87Bearth);
+  }
+
+  /**
+   * Sunrise and sunset for the day starting at `start`
+   * @param {Object} observer - { latitude, longitude, elevation }
+   * @param {Date} start - Local midnight of the day
+   * @returns {Object} { sunrise, sunset } as Dates, invalid when the event does not occur
+   */
+  getRiseSet(observer, start) {
+    return {
+      sunrise: this.searchAltitude(observer, start, SUNRISE_ALTITUDE, 'rise'),
+      sunset: this.searchAltitude(observer, start, SUNRISE_ALTITUDE, 'set')
+    };
+  }
+
+  /**
+   * Geometric altitude of the Sun's centre at the events getRiseSet returns
+   * @returns {number} Degrees, negative below the horizon
+   */
+  getRiseSetAltitude() {
+    return SUNRISE_ALTITUDE;
+  }
+
+  /**
+   * Civil, nautical and astronomical twilight for the day starting at `start`
+   */
+  getTwilight(observer, start) {
+    const { sunrise, sunset } = this.getRiseSet(observer, start);
+
+    return {
+      astronomicalDawn: this.searchAltitude(observer, start, TWILIGHT_ALTITUDES.astronomical, 'rise'),
+      nauticalDawn: this.searchAltitude(observer, start, TWILIGHT_ALTITUDES.nautical, 'rise'),
+      civilDawn: this.searchAltitude(observer, start, TWILIGHT_ALTITUDES.civil, 'rise'),
+      sunrise,
+      sunset,
+      civilDusk: this.searchAltitude(observer, start, TWILIGHT_ALTITUDES.civil, 'set'),
+      nauticalDusk: this.searchAltitude(observer, start, TWILIGHT_ALTITUDES.nautical, 'set'),
+      astronomicalDusk: this.searchAltitude(observer, start, TWILIGHT_ALTITUDES.astronomical, 'set')
+    };
+  }
+
+  /**
+   * Apparent horizontal and equatorial position of the Sun
+   * Elevation includes Saemundsson refraction near and above the horizon
+   */
+  getSolarPosition(observer, instant) {
+    const jd = julian.DateToJD(new Date(instant));
+    const equatorial = this._apparentEquatorial(jd + this._deltaT(jd) / 86400);
+    const horizontal = new coord.Equatorial(equatorial.ra, equatorial.dec)
+      .toHorizontal(this._toGlobe(observer), sidereal.apparent(jd));
+
+    let elevation = horizontal.alt * R2D;
+    if (elevation > -1) {
+      elevation += refraction.saemundsson(horizontal.alt) * R2D;
+    }
+
+    return {
+      // Meeus measures azimuth from south, westward
+      azimuth: (horizontal.az * R2D + 180) % 360,
+      elevation,
+      rightAscension: equatorial.ra * R2D / 15,
+      declination: equatorial.dec * R2D
+    };
+  }
+
+  /**
+   * First instant within 24 hours of `start` at which the Sun's centre crosses `altitude`
+   * Rise/set times are computed per UT day, so the two UT days overlapping the local day are searched
+   * @param {string} direction - 'rise' or 'set'
+   */
+  searchAltitude(observer, start, altitude, direction) {
+    const startMs = new Date(start).getTime();
+    const firstDayMs = Math.floor(startMs / MS_PER_DAY) * MS_PER_DAY;
+
+    for (const dayMs of [firstDayMs, firstDayMs + MS_PER_DAY]) {
+      const seconds = this._riseSetSeconds(observer, dayMs, altitude);
+      if (!seconds) {
+        continue;
+      }
+
+      const eventMs = dayMs + seconds[direction] * 1000;
+      if (eventMs >= startMs && eventMs < startMs + MS_PER_DAY) {
+        return new Date(Math.round(eventMs));
+      }
+    }
+
+    return new Date(NaN);
+  }
+
+  /**
+   * Meeus rise/set in seconds after 0h UT, or null when the Sun never crosses the altitude
+   */
+  _riseSetSeconds(observer, dayMs, altitude) {
+    const jd0 = julian.DateToJD(new Date(dayMs));
+    const deltaT = this._deltaT(jd0);
+    const jde0 = jd0 + deltaT / 86400;
+
+    const positions = [-1, 0, 1].map(offset => this._apparentEquatorial(jde0 + offset));
+
+    // Right ascension wraps at 24h near the March equinox; keep the three values continuous
+    const ra3 = positions.map(p => p.ra);
+    for (let i = 1; i < 3; i++) {
+      while (ra3[i] < ra3[i - 1] - Math.PI) ra3[i] += 2 * Math.PI;
+    }
+
+    try {
+      const times = rise.times(
+        this._toGlobe(observer), deltaT, altitude * D2R, sidereal.apparent0UT(jd0),
+        ra3, positions.map(p => p.dec)
+      );
+      return { rise: times.rise, set: times.set };
+    } catch (_error) {
+      // The Sun stays above or below the altitude all day
+      return null;
+    }
+  }
+
+  _apparentEquatorial(jde) {
+    return solar.apparentEquatorialVSOP87(this.earth, jde);
+  }
+
+  _deltaT(jd) {
+    return deltat.deltaT(new julian.Calendar().fromJD(jd).toYear());
+  }
+
+  /**
+   * Astronomia uses radians and longitudes measured positively westward
+   */
+  _toGlobe(observer) {
+    return new globe.Coord(observer.latitude * D2R, -observer.longitude * D2R);
+  }
+}
+
+module.exports = AstronomiaBackend;
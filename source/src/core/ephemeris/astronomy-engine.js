@@ -0,0 +1,117 @@
+/**
+ * Astronomy Engine ephemeris backend
+ * VSOP87-derived positions with refraction, accurate to about a minute of time
+ */
+
+const Astronomy = require('astronomy-engine');
+
+// Refraction at the horizon and solar radius SearchRiseSet uses for the Sun's upper limb
+const HORIZON_REFRACTION = 34 / 60;
+const SUN_RADIUS_KM = 695700;
+
+// Solar depression angles for the three twilights, in degrees
+const TWILIGHT_ALTITUDES = {
+  civil: -6,
+  nautical: -12,
+  astronomical: -18
+};
+
+class AstronomyEngineBackend {
+  constructor() {
+    this.id = 'astronomy-engine';
+    this.name = 'Astronomy Engine';
+    this.description = 'High-precision ephemeris from the Astronomy Engine library';
+  }
+
+  /**
+   * Sunrise and sunset for the day starting at `start`
+   * @param {Object} observer - { latitude, longitude, elevation }
+   * @param {Date} start - Local midnight of the day
+   * @returns {Object} { sunrise, sunset } as Dates, invalid when the event does not occur
+   */
+  getRiseSet(observer, start) {
+    const astroObserver = this._toObserver(observer);
+    const searchDate = Astronomy.MakeTime(start);
+
+    return {
+      sunrise: this._toDate(Astronomy.SearchRiseSet(Astronomy.Body.Sun, astroObserver, +1, searchDate, 1)),
+      sunset: this._toDate(Astronomy.SearchRiseSet(Astronomy.Body.Sun, astroObserver, -1, searchDate, 1))
+    };
+  }
+
+  /**
+   * Geometric altitude of the Sun's centre at the events getRiseSet returns: the upper limb
+   * on the refracted horizon, with the Sun's semi-diameter on that date
+   * @param {Date} instant - Time of the event
+   * @returns {number} Degrees, negative below the horizon
+   */
+  getRiseSetAltitude(instant) {
+    const distance = Astronomy.GeoVector(Astronomy.Body.Sun, Astronomy.MakeTime(instant), true).Length();
+    const semiDiameter = Math.asin(SUN_RADIUS_KM / (distance * Astronomy.KM_PER_AU)) * 180 / Math.PI;
+    return -(HORIZON_REFRACTION + semiDiameter);
+  }
+
+  /**
+   * Civil, nautical and astronomical twilight for the day starting at `start`
+   */
+  getTwilight(observer, start) {
+    const search = (altitude, direction) => this.searchAltitude(observer, start, altitude, direction);
+    const { sunrise, sunset } = this.getRiseSet(observer, start);
+
+    return {
+      astronomicalDawn: search(TWILIGHT_ALTITUDES.astronomical, 'rise'),
+      nauticalDawn: search(TWILIGHT_ALTITUDES.nautical, 'rise'),
+      civilDawn: search(TWILIGHT_ALTITUDES.civil, 'rise'),
+      sunrise,
+      sunset,
+      civilDusk: search(TWILIGHT_ALTITUDES.civil, 'set'),
+      nauticalDusk: search(TWILIGHT_ALTITUDES.nautical, 'set'),
+      astronomicalDusk: search(TWILIGHT_ALTITUDES.astronomical, 'set')
+    };
+  }
+
+  /**
+   * First instant within 24 hours of `start` at which the Sun's centre crosses `altitude`
+   * @param {Object} observer - { latitude, longitude, elevation }
+   * @param {Date} start - Local midnight of the day
+   * @param {number} altitude - Geometric altitude in degrees, negative below the horizon
+   * @param {string} direction - 'rise' or 'set'
+   * @returns {Date} Crossing time, invalid when the Sun does not cross the altitude
+   */
+  searchAltitude(observer, start, altitude, direction) {
+    return this._toDate(Astronomy.SearchAltitude(
+      Astronomy.Body.Sun, this._toObserver(observer), direction === 'set' ? -1 : +1,
+      Astronomy.MakeTime(start), 1, altitude
+    ));
+  }
+
+  /**
+   * Apparent (refracted) horizontal and equatorial position of the Sun
+   */
+  getSolarPosition(observer, instant) {
+    const astroObserver = this._toObserver(observer);
+    const time = Astronomy.MakeTime(instant);
+    const equatorial = Astronomy.Equator(Astronomy.Body.Sun, time, astroObserver, true, true);
+    const horizontal = Astronomy.Horizon(time, astroObserver, equatorial.ra, equatorial.dec, 'normal');
+
+    return {
+      azimuth: horizontal.azimuth,
+      elevation: horizontal.altitude,
+      rightAscension: equatorial.ra,
+      declination: equatorial.dec
+    };
+  }
+
+  _toObserver(observer) {
+    return new Astronomy.Observer(observer.latitude, observer.longitude, observer.elevation || 0);
+  }
+
+  /**
+   * Convert a search result to a Date; searches return null when nothing is found
+   */
+  _toDate(astroTime) {
+    return astroTime ? astroTime.date : new Date(NaN);
+  }
+}
+
+module.exports = AstronomyEngineBackend;
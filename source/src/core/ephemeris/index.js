@@ -0,0 +1,104 @@
+/**
+ * Ephemeris backend registry
+ * A backend supplies sunrise/sunset, twilight and solar position for an observer;
+ * built-in backends are registered on load and custom ones can be added at runtime
+ */
+
+const SunCalcBackend = require('./suncalc');
+const AstronomyEngineBackend = require('./astronomy-engine');
+const AstronomiaBackend = require('./astronomia');
+const NoaaBackend = require('./noaa');
+
+const REQUIRED_METHODS = ['getRiseSet', 'getTwilight', 'getSolarPosition'];
+
+const backends = new Map();
+
+/**
+ * Check that an object implements the backend interface
+ * @param {Object} backend - Backend candidate
+ * @throws {Error} If the id or a required method is missing
+ */
+function validateBackend(backend) {
+  if (!backend || typeof backend !== 'object') {
+    throw new Error('Ephemeris backend must be an object');
+  }
+  if (!backend.id || typeof backend.id !== 'string') {
+    throw new Error('Ephemeris backend must have a string id');
+  }
+
+  REQUIRED_METHODS.forEach(method => {
+    if (typeof backend[method] !== 'function') {
+      throw new Error(`Ephemeris backend '${backend.id}' must implement ${method}()`);
+    }
+  });
+}
+
+/**
+ * Register a backend so it can be selected by id
+ * @param {Object} backend - Object with id, getRiseSet, getTwilight and getSolarPosition
+ * @returns {Object} The registered backend
+ */
+function registerBackend(backend) {
+  validateBackend(backend);
+
+  if (backends.has(backend.id)) {
+    throw new Error(`Ephemeris backend already registered: ${backend.id}`);
+  }
+
+  backends.set(backend.id, backend);
+  return backend;
+}
+
+/**
+ * Resolve a backend by id; backend objects are validated and returned as-is
+ * @param {string|Object} backend - Registered id or backend object
+ * @returns {Object} Backend
+ */
+function getBackend(backend) {
+  if (typeof backend === 'object') {
+    validateBackend(backend);
+    return backend;
+  }
+
+  if (!backends.has(backend)) {
+    throw new Error(`Unknown ephemeris backend: ${backend}. Use one of ${getBackendIds().join(', ')}`);
+  }
+  return backends.get(backend);
+}
+
+/**
+ * Get the ids of all registered backends
+ */
+function getBackendIds() {
+  return [...backends.keys()];
+}
+
+/**
+ * Get id, name and description of all registered backends
+ */
+function getBackendInfo() {
+  return [...backends.values()].map(backend => ({
+    id: backend.id,
+    name: backend.name || backend.id,
+    description: backend.description || null
+  }));
+}
+
+[
+  new SunCalcBackend(),
+  new AstronomyEngineBackend(),
+  new AstronomiaBackend(),
+  new NoaaBackend()
+].forEach(registerBackend);
+
+module.exports = {
+  registerBackend,
+  getBackend,
+  getBackendIds,
+  getBackendInfo,
+  validateBackend,
+  SunCalcBackend,
+  AstronomyEngineBackend,
+  AstronomiaBackend,
+  NoaaBackend
+};
@@ -0,0 +1,256 @@
+/**
+ * NOAA solar calculator ephemeris backend
+ * Self-contained port of the NOAA Global Monitoring Laboratory solar calculator
+ * (Meeus-based, no third-party astronomy library), the reference many almanacs publish against
+ */
+
+const MS_PER_DAY = 86400000;
+const JD_UNIX_EPOCH = 2440587.5;
+const JD_J2000 = 2451545;
+
+// Standard altitude of the Sun's centre at sunrise: refraction plus semi-diameter
+const SUNRISE_ALTITUDE = -0.833;
+
+// Solar depression angles for the three twilights, in degrees
+const TWILIGHT_ALTITUDES = {
+  civil: -6,
+  nautical: -12,
+  astronomical: -18
+};
+
+const toRadians = (degrees) => degrees * Math.PI / 180;
+const toDegrees = (radians) => radians * 180 / Math.PI;
+
+function julianCentury(jd) {
+  return (jd - JD_J2000) / 36525;
+}
+
+function geomMeanLongSun(t) {
+  const l0 = 280.46646 + t * (36000.76983 + t * 0.0003032);
+  return ((l0 % 360) + 360) % 360;
+}
+
+function geomMeanAnomalySun(t) {
+  return 357.52911 + t * (35999.05029 - 0.0001537 * t);
+}
+
+function eccentricityEarthOrbit(t) {
+  return 0.016708634 - t * (0.000042037 + 0.0000001267 * t);
+}
+
+function sunEquationOfCenter(t) {
+  const m = toRadians(geomMeanAnomalySun(t));
+  return Math.sin(m) * (1.914602 - t * (0.004817 + 0.000014 * t)) +
+    Math.sin(2 * m) * (0.019993 - 0.000101 * t) +
+    Math.sin(3 * m) * 0.000289;
+}
+
+function sunApparentLongitude(t) {
+  const trueLongitude = geomMeanLongSun(t) + sunEquationOfCenter(t);
+  const omega = 125.04 - 1934.136 * t;
+  return trueLongitude - 0.00569 - 0.00478 * Math.sin(toRadians(omega));
+}
+
+function obliquityCorrection(t) {
+  const seconds = 21.448 - t * (46.8150 + t * (0.00059 - t * 0.001813));
+  const meanObliquity = 23 + (26 + seconds / 60) / 60;
+  const omega = 125.04 - 1934.136 * t;
+  return meanObliquity + 0.00256 * Math.cos(toRadians(omega));
+}
+
+function sunDeclination(t) {
+  const e = toRadians(obliquityCorrection(t));
+  const lambda = toRadians(sunApparentLongitude(t));
+  return toDegrees(Math.asin(Math.sin(e) * Math.sin(lambda)));
+}
+
+function sunRightAscension(t) {
+  const e = toRadians(obliquityCorrection(t));
+  const lambda = toRadians(sunApparentLongitude(t));
+  const ra = toDegrees(Math.atan2(Math.cos(e) * Math.sin(lambda), Math.cos(lambda)));
+  return (ra + 360) % 360;
+}
+
+/**
+ * Equation of time in minutes
+ */
+function equationOfTime(t) {
+  const epsilon = toRadians(obliquityCorrection(t));
+  const l0 = toRadians(geomMeanLongSun(t));
+  const e = eccentricityEarthOrbit(t);
+  const m = toRadians(geomMeanAnomalySun(t));
+  const y = Math.pow(Math.tan(epsilon / 2), 2);
+
+  const eTime = y * Math.sin(2 * l0) -
+    2 * e * Math.sin(m) +
+    4 * e * y * Math.sin(m) * Math.cos(2 * l0) -
+    0.5 * y * y * Math.sin(4 * l0) -
+    1.25 * e * e * Math.sin(2 * m);
+
+  return toDegrees(eTime) * 4;
+}
+
+/**
+ * NOAA's empirical refraction correction in degrees for a geometric elevation
+ */
+function refractionCorrection(elevation) {
+  if (elevation > 85) {
+    return 0;
+  }
+
+  const te = Math.tan(toRadians(elevation));
+  let seconds;
+  if (elevation > 5) {
+    seconds = 58.1 / te - 0.07 / Math.pow(te, 3) + 0.000086 / Math.pow(te, 5);
+  } else if (elevation > -0.575) {
+    seconds = 1735 + elevation * (-518.2 + elevation * (103.4 + elevation * (-12.79 + elevation * 0.711)));
+  } else {
+    seconds = -20.774 / te;
+  }
+
+  return seconds / 3600;
+}
+
+class NoaaBackend {
+  constructor() {
+    this.id = 'noaa';
+    this.name = 'NOAA Solar Calculator';
+    this.description = 'Self-contained port of the NOAA solar calculator, used by many government almanacs';
+  }
+
+  /**
+   * Sunrise and sunset for the day starting at `start`
+   * @param {Object} observer - { latitude, longitude, elevation }
+   * @param {Date} start - Local midnight of the day
+   * @returns {Object} { sunrise, sunset } as Dates, invalid when the event does not occur
+   */
+  getRiseSet(observer, start) {
+    return {
+      sunrise: this.searchAltitude(observer, start, SUNRISE_ALTITUDE, 'rise'),
+      sunset: this.searchAltitude(observer, start, SUNRISE_ALTITUDE, 'set')
+    };
+  }
+
+  /**
+   * Geometric altitude of the Sun's centre at the events getRiseSet returns
+   * @returns {number} Degrees, negative below the horizon
+   */
+  getRiseSetAltitude() {
+    return SUNRISE_ALTITUDE;
+  }
+
+  /**
+   * Civil, nautical and astronomical twilight for the day starting at `start`
+   */
+  getTwilight(observer, start) {
+    const { sunrise, sunset } = this.getRiseSet(observer, start);
+
+    return {
+      astronomicalDawn: this.searchAltitude(observer, start, TWILIGHT_ALTITUDES.astronomical, 'rise'),
+      nauticalDawn: this.searchAltitude(observer, start, TWILIGHT_ALTITUDES.nautical, 'rise'),
+      civilDawn: this.searchAltitude(observer, start, TWILIGHT_ALTITUDES.civil, 'rise'),
+      sunrise,
+      sunset,
+      civilDusk: this.searchAltitude(observer, start, TWILIGHT_ALTITUDES.civil, 'set'),
+      nauticalDusk: this.searchAltitude(observer, start, TWILIGHT_ALTITUDES.nautical, 'set'),
+      astronomicalDusk: this.searchAltitude(observer, start, TWILIGHT_ALTITUDES.astronomical, 'set')
+    };
+  }
+
+  /**
+   * Refracted horizontal and equatorial position of the Sun
+   */
+  getSolarPosition(observer, instant) {
+    const ms = new Date(instant).getTime();
+    const t = julianCentury(ms / MS_PER_DAY + JD_UNIX_EPOCH);
+    const declination = sunDeclination(t);
+
+    const minutesUTC = (((ms % MS_PER_DAY) + MS_PER_DAY) % MS_PER_DAY) / 60000;
+    const trueSolarTime = (((minutesUTC + equationOfTime(t) + 4 * observer.longitude) % 1440) + 1440) % 1440;
+    let hourAngle = trueSolarTime / 4 - 180;
+    if (hourAngle < -180) hourAngle += 360;
+
+    const lat = toRadians(observer.latitude);
+    const dec = toRadians(declination);
+    const cosZenith = Math.min(1, Math.max(-1,
+      Math.sin(lat) * Math.sin(dec) + Math.cos(lat) * Math.cos(dec) * Math.cos(toRadians(hourAngle))
+    ));
+    const zenith = Math.acos(cosZenith);
+    const elevation = 90 - toDegrees(zenith);
+
+    // Azimuth from north, clockwise; undefined at the zenith and the poles
+    let azimuth = 180;
+    const azDenominator = Math.cos(lat) * Math.sin(zenith);
+    if (Math.abs(azDenominator) > 0.001) {
+      const cosAz = Math.min(1, Math.max(-1,
+        (Math.sin(lat) * Math.cos(zenith) - Math.sin(dec)) / azDenominator
+      ));
+      azimuth = 180 - toDegrees(Math.acos(cosAz));
+      if (hourAngle > 0) azimuth = -azimuth;
+    } else if (observer.latitude > 0) {
+      azimuth = 0;
+    }
+    azimuth = (azimuth + 360) % 360;
+
+    return {
+      azimuth,
+      elevation: elevation + refractionCorrection(elevation),
+      rightAscension: sunRightAscension(t) / 15,
+      declination
+    };
+  }
+
+  /**
+   * First instant within 24 hours of `start` at which the Sun's centre crosses `altitude`
+   * Events are computed per UT day, so the two UT days overlapping the local day are searched
+   * @param {string} direction - 'rise' or 'set'
+   */
+  searchAltitude(observer, start, altitude, direction) {
+    const rising = direction !== 'set';
+    const startMs = new Date(start).getTime();
+    const firstDayMs = Math.floor(startMs / MS_PER_DAY) * MS_PER_DAY;
+
+    for (const dayMs of [firstDayMs, firstDayMs + MS_PER_DAY]) {
+      const minutes = this._eventMinutesUTC(observer, dayMs, altitude, rising);
+      if (minutes === null) {
+        continue;
+      }
+
+      const eventMs = dayMs + minutes * 60000;
+      if (eventMs >= startMs && eventMs < startMs + MS_PER_DAY) {
+        return new Date(Math.round(eventMs));
+      }
+    }
+
+    return new Date(NaN);
+  }
+
+  /**
+   * Minutes after 0h UT of the altitude crossing, refined by re-evaluating the Sun at the event,
+   * or null when the Sun stays above or below the altitude
+   */
+  _eventMinutesUTC(observer, dayMs, altitude, rising) {
+    const jd0 = dayMs / MS_PER_DAY + JD_UNIX_EPOCH;
+
+    // Start from local apparent noon and refine twice
+    let minutes = 720 - 4 * observer.longitude;
+    for (let i = 0; i < 3; i++) {
+      const t = julianCentury(jd0 + minutes / 1440);
+      const lat = toRadians(observer.latitude);
+      const dec = toRadians(sunDeclination(t));
+      const cosHourAngle = (Math.sin(toRadians(altitude)) - Math.sin(lat) * Math.sin(dec)) /
+        (Math.cos(lat) * Math.cos(dec));
+
+      if (cosHourAngle < -1 || cosHourAngle > 1) {
+        return null;
+      }
+
+      const hourAngle = toDegrees(Math.acos(cosHourAngle)) * (rising ? 1 : -1);
+      minutes = 720 - 4 * (observer.longitude + hourAngle) - equationOfTime(t);
+    }
+
+    return minutes;
+  }
+}
+
+module.exports = NoaaBackend;
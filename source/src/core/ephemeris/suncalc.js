@@ -0,0 +1,144 @@
+/**
+ * SunCalc ephemeris backend
+ * Fast low-precision formulae; custom altitudes are found by searching SunCalc's solar positions
+ */
+
+const SunCalc = require('suncalc');
+
+const MS_PER_DAY = 86400000;
+
+// Altitude of the Sun's centre SunCalc uses for sunrise and sunset
+const SUNRISE_ALTITUDE = -0.833;
+
+// Sampling step and final resolution of the altitude search
+const SEARCH_STEP_MS = 10 * 60000;
+const SEARCH_RESOLUTION_MS = 1000;
+
+class SunCalcBackend {
+  constructor() {
+    this.id = 'suncalc';
+    this.name = 'SunCalc';
+    this.description = 'Low-precision analytical formulae from the SunCalc library';
+  }
+
+  /**
+   * Sunrise and sunset for the day starting at `start`
+   * @param {Object} observer - { latitude, longitude, elevation }
+   * @param {Date} start - Local midnight of the day
+   * @returns {Object} { sunrise, sunset } as Dates, invalid when the event does not occur
+   */
+  getRiseSet(observer, start) {
+    const times = this._getTimes(observer, start, ['sunrise', 'sunset']);
+
+    return {
+      sunrise: times.sunrise,
+      sunset: times.sunset
+    };
+  }
+
+  /**
+   * Geometric altitude of the Sun's centre at the events getRiseSet returns
+   * @returns {number} Degrees, negative below the horizon
+   */
+  getRiseSetAltitude() {
+    return SUNRISE_ALTITUDE;
+  }
+
+  /**
+   * Civil, nautical and astronomical twilight for the day starting at `start`
+   */
+  getTwilight(observer, start) {
+    const times = this._getTimes(observer, start, [
+      'nightEnd', 'nauticalDawn', 'dawn', 'sunrise', 'sunset', 'dusk', 'nauticalDusk', 'night'
+    ]);
+
+    return {
+      astronomicalDawn: times.nightEnd,
+      nauticalDawn: times.nauticalDawn,
+      civilDawn: times.dawn,
+      sunrise: times.sunrise,
+      sunset: times.sunset,
+      civilDusk: times.dusk,
+      nauticalDusk: times.nauticalDusk,
+      astronomicalDusk: times.night
+    };
+  }
+
+  /**
+   * First instant within 24 hours of `start` at which the Sun's centre crosses `altitude`
+   * @param {Object} observer - { latitude, longitude, elevation }
+   * @param {Date} start - Local midnight of the day
+   * @param {number} altitude - Geometric altitude in degrees, negative below the horizon
+   * @param {string} direction - 'rise' or 'set'
+   * @returns {Date} Crossing time, invalid when the Sun does not cross the altitude
+   */
+  searchAltitude(observer, start, altitude, direction) {
+    const sign = direction === 'set' ? -1 : 1;
+    const height = (ms) => sign * (this._altitude(observer, ms) - altitude);
+    const startMs = new Date(start).getTime();
+
+    for (let t = startMs; t < startMs + MS_PER_DAY; t += SEARCH_STEP_MS) {
+      let low = t;
+      let high = Math.min(t + SEARCH_STEP_MS, startMs + MS_PER_DAY);
+      if (height(low) >= 0 || height(high) < 0) {
+        continue;
+      }
+
+      while (high - low > SEARCH_RESOLUTION_MS) {
+        const middle = (low + high) / 2;
+        if (height(middle) < 0) {
+          low = middle;
+        } else {
+          high = middle;
+        }
+      }
+      return new Date(Math.round(high));
+    }
+
+    return new Date(NaN);
+  }
+
+  /**
+   * Horizontal position of the Sun; SunCalc does not expose equatorial coordinates
+   */
+  getSolarPosition(observer, instant) {
+    const position = SunCalc.getPosition(instant, observer.latitude, observer.longitude);
+
+    return {
+      // SunCalc measures azimuth from south, westward
+      azimuth: (position.azimuth * 180 / Math.PI + 180) % 360,
+      elevation: position.altitude * 180 / Math.PI,
+      rightAscension: null,
+      declination: null
+    };
+  }
+
+  /**
+   * First SunCalc events within 24 hours of `start`
+   * SunCalc returns the events around the solar noon nearest to the instant it is given; from local
+   * midnight that is often the previous day's, so it is asked for the middle of the window and the
+   * neighbouring days are used for events that fall outside it or come earlier in it
+   */
+  _getTimes(observer, start, keys) {
+    const startMs = new Date(start).getTime();
+    const candidates = [0, -1, 1].map(days => SunCalc.getTimes(
+      new Date(startMs + MS_PER_DAY / 2 + days * MS_PER_DAY), observer.latitude, observer.longitude
+    ));
+
+    const times = {};
+    keys.forEach(key => {
+      const matches = candidates
+        .map(candidate => candidate[key])
+        .filter(time => time.getTime() >= startMs && time.getTime() < startMs + MS_PER_DAY)
+        .sort((a, b) => a - b);
+      times[key] = matches[0] || new Date(NaN);
+    });
+    return times;
+  }
+
+  _altitude(observer, ms) {
+    return SunCalc.getPosition(new Date(ms), observer.latitude, observer.longitude).altitude * 180 / Math.PI;
+  }
+}
+
+module.exports = SunCalcBackend;
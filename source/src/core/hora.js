@@ -0,0 +1,84 @@
+/**
+ * Planetary hora calculation: 12 unequal planetary hours by day and 12 by night
+ * The first hora at sunrise belongs to the weekday lord and the sequence
+ * follows the Chaldean order through the day and into the night
+ */
+
+const moment = require('moment-timezone');
+const AhoratraCalculator = require('./ahoratra');
+const { WEEKDAYS, validateDayInputs } = require('./solarday');
+const { formatTimePoint, parseDateInput, divideTimeSpan } = require('../utils/time');
+
+// Chaldean order, slowest to fastest apparent motion
+const CHALDEAN_ORDER = ['Saturn', 'Jupiter', 'Mars', 'Sun', 'Venus', 'Mercury', 'Moon'];
+
+// Weekday lords, Sunday first
+const WEEKDAY_LORDS = ['Sun', 'Moon', 'Mars', 'Mercury', 'Jupiter', 'Venus', 'Saturn'];
+
+class HoraCalculator {
+  constructor(options = {}) {
+    this.precision = options.precision || 'high';
+    this.ahoratraCalc = new AhoratraCalculator({ precision: this.precision, muhuratCalc: options.muhuratCalc });
+  }
+
+  /**
+   * Calculate the 24 planetary horas for given location and date
+   * @param {Object} params - Calculation parameters
+   * @returns {Object} Day and night hora sequences
+   */
+  calculate(params) {
+    const {
+      latitude,
+      longitude,
+      elevation = 0,
+      date,
+      timezone
+    } = params;
+
+    validateDayInputs(params);
+
+    const ahoratra = this.ahoratraCalc.calculateAhoratra(params);
+    const weekday = moment.tz(date, timezone).day();
+    const firstLordIndex = CHALDEAN_ORDER.indexOf(WEEKDAY_LORDS[weekday]);
+
+    return {
+      location: {
+        latitude,
+        longitude,
+        elevation,
+        timezone
+      },
+      date: parseDateInput(date),
+      weekday: WEEKDAYS[weekday],
+      weekdayLord: WEEKDAY_LORDS[weekday],
+      solarStatus: ahoratra.solarStatus,
+      sunrise: formatTimePoint(ahoratra.sunrise, timezone),
+      sunset: formatTimePoint(ahoratra.sunset, timezone),
+      nextSunrise: formatTimePoint(ahoratra.nextSunrise, timezone),
+      day: this._buildHoras(ahoratra.sunrise, ahoratra.sunset, firstLordIndex, 1, 'day', timezone),
+      night: this._buildHoras(ahoratra.sunset, ahoratra.nextSunrise, firstLordIndex + 12, 13, 'night', timezone),
+      calculationDetails: {
+        precision: this.precision,
+        timestamp: new Date().toISOString()
+      }
+    };
+  }
+
+  /**
+   * Split a span into 12 horas, continuing the Chaldean sequence
+   */
+  _buildHoras(start, end, lordOffset, firstIndex, period, timezone) {
+    const segments = divideTimeSpan(start, end, 12);
+
+    return segments.map((segment, i) => ({
+      index: firstIndex + i,
+      lord: CHALDEAN_ORDER[(lordOffset + i) % CHALDEAN_ORDER.length],
+      period,
+      start: formatTimePoint(segment.start, timezone),
+      end: formatTimePoint(segment.end, timezone),
+      durationMinutes: moment(segment.end).diff(moment(segment.start), 'seconds') / 60
+    }));
+  }
+}
+
+module.exports = HoraCalculator;
@@ -0,0 +1,233 @@
+/**
+ * Local horizon model for an observing site
+ * Describes where the visible horizon lies so sunrise can be taken as the moment
+ * the Sun clears the skyline rather than the mathematical horizon
+ */
+
+// Skyline altitudes outside this range are not a horizon
+const MIN_HORIZON_ALTITUDE = -5;
+const MAX_HORIZON_ALTITUDE = 60;
+
+const MAX_OBSERVER_HEIGHT = 9000;
+const EARTH_RADIUS_M = 6371000;
+
+// Terrestrial refraction coefficient: the light path curves with this fraction of the Earth's curvature;
+// 0.16 gives the almanac dip of 1.76' per square root of a metre of eye height
+const TERRESTRIAL_REFRACTION = 0.16;
+
+// 'land': flat terrain around the observer; 'sea': a water horizon seen from a ship or the coast
+const OBSERVER_MODES = ['land', 'sea'];
+
+class HorizonCalculator {
+  /**
+   * @param {Object} options
+   * @param {Array<number>|Array<Object>} options.profile - Altitude of the visible skyline in degrees, either
+   *   one value per equal azimuth bucket starting at north and going clockwise, or { azimuth, altitude } points
+   * @param {number} options.observerHeight - Eye height in metres above the surrounding terrain; it lowers
+   *   the mathematical horizon and is not used with a profile, which is measured from the eye already
+   * @param {string} options.mode - 'land' (default) or 'sea'
+   * @param {number} options.eyeHeight - 'sea': eye height in metres above sea level
+   * @param {number} options.horizonDistance - 'sea': distance in km to a nearer visible horizon, such as the
+   *   opposite shore; beyond the sea horizon it has no effect
+   * @param {number} options.terrestrialRefraction - Refraction coefficient for the dip (default 0.16)
+   */
+  constructor(options = {}) {
+    this.mode = options.mode || 'land';
+    if (!OBSERVER_MODES.includes(this.mode)) {
+      throw new Error(`Unsupported observer mode: ${this.mode}. Use one of ${OBSERVER_MODES.join(', ')}`);
+    }
+
+    this.profile = options.profile ? HorizonCalculator.normalizeProfile(options.profile) : null;
+    this.terrestrialRefraction = options.terrestrialRefraction !== undefined
+      ? options.terrestrialRefraction
+      : TERRESTRIAL_REFRACTION;
+    this.horizonDistance = null;
+
+    if (this.mode === 'sea') {
+      this._initSeaHorizon(options);
+    } else {
+      this.observerHeight = options.observerHeight || 0;
+    }
+
+    if (typeof this.observerHeight !== 'number' ||
+        !(this.observerHeight >= 0 && this.observerHeight <= MAX_OBSERVER_HEIGHT)) {
+      throw new Error(`Invalid observer height: ${this.observerHeight}. Must be between 0 and ${MAX_OBSERVER_HEIGHT} meters`);
+    }
+    if (typeof this.terrestrialRefraction !== 'number' ||
+        !(this.terrestrialRefraction >= 0 && this.terrestrialRefraction < 1)) {
+      throw new Error(`Invalid terrestrial refraction coefficient: ${this.terrestrialRefraction}. Must be from 0 to below 1`);
+    }
+  }
+
+  /**
+   * Validate and store the eye height and horizon distance of a sea observer
+   */
+  _initSeaHorizon(options) {
+    if (this.profile) {
+      throw new Error('A horizon profile cannot be combined with the sea observer mode');
+    }
+    if (options.eyeHeight === undefined) {
+      throw new Error('Sea observer mode requires eyeHeight in meters above sea level');
+    }
+    if (options.horizonDistance !== undefined &&
+        (typeof options.horizonDistance !== 'number' || !(options.horizonDistance > 0))) {
+      throw new Error(`Invalid horizon distance: ${options.horizonDistance}. Must be a positive number of kilometers`);
+    }
+
+    this.observerHeight = options.eyeHeight;
+    this.horizonDistance = options.horizonDistance !== undefined ? options.horizonDistance : null;
+  }
+
+  /**
+   * Build the horizon described by calculation parameters, or null for the mathematical horizon
+   * @param {Object} params - Calculation parameters with an optional horizonProfile and observerHeight,
+   *   or observerMode 'sea' with eyeHeight, horizonDistance and terrestrialRefraction
+   * @throws {Error} When a sea-only parameter is given without observerMode 'sea'
+   */
+  static fromParams(params = {}) {
+    if (params.observerMode !== 'sea') {
+      for (const name of ['eyeHeight', 'horizonDistance']) {
+        if (params[name] !== undefined && params[name] !== null) {
+          throw new Error(`${name} applies only with observerMode 'sea'; use observerHeight for a raised observer`);
+        }
+      }
+    }
+    if (params.observerMode === 'sea') {
+      return new HorizonCalculator({
+        mode: 'sea',
+        eyeHeight: params.eyeHeight,
+        horizonDistance: params.horizonDistance,
+        terrestrialRefraction: params.terrestrialRefraction
+      });
+    }
+    if (!params.horizonProfile && !params.observerHeight && !params.observerMode) {
+      return null;
+    }
+
+    return new HorizonCalculator({
+      mode: params.observerMode,
+      profile: params.horizonProfile,
+      observerHeight: params.observerHeight,
+      terrestrialRefraction: params.terrestrialRefraction
+    });
+  }
+
+  /**
+   * Get the supported observer modes
+   */
+  static getObserverModes() {
+    return [...OBSERVER_MODES];
+  }
+
+  /**
+   * Validate a horizon profile and convert it to { azimuth, altitude } points sorted by azimuth
+   * Bucket values are placed at the centre of their bucket
+   */
+  static normalizeProfile(profile) {
+    if (!Array.isArray(profile) || profile.length === 0) {
+      throw new Error('Invalid horizon profile: expected a non-empty array');
+    }
+
+    const step = 360 / profile.length;
+    const points = profile.map((entry, index) => (
+      typeof entry === 'number'
+        ? { azimuth: (index + 0.5) * step, altitude: entry }
+        : { azimuth: entry && entry.azimuth, altitude: entry && entry.altitude }
+    ));
+
+    points.forEach(({ azimuth, altitude }) => {
+      if (typeof azimuth !== 'number' || !(azimuth >= 0 && azimuth < 360)) {
+        throw new Error(`Invalid horizon profile azimuth: ${azimuth}. Must be between 0 and 360 degrees`);
+      }
+      if (typeof altitude !== 'number' || !(altitude >= MIN_HORIZON_ALTITUDE && altitude <= MAX_HORIZON_ALTITUDE)) {
+        throw new Error(
+          `Invalid horizon profile altitude: ${altitude}. Must be between ${MIN_HORIZON_ALTITUDE} and ${MAX_HORIZON_ALTITUDE} degrees`
+        );
+      }
+    });
+
+    return points.sort((a, b) => a.azimuth - b.azimuth);
+  }
+
+  /**
+   * Altitude of the skyline towards an azimuth, interpolated linearly between profile points
+   * @param {number} azimuth - Degrees from north, clockwise
+   * @returns {number} Skyline altitude in degrees, 0 without a profile
+   */
+  getAltitude(azimuth) {
+    if (!this.profile) {
+      return 0;
+    }
+
+    const points = this.profile;
+    const az = ((azimuth % 360) + 360) % 360;
+    const nextIndex = points.findIndex(point => point.azimuth >= az);
+
+    // Past the last point or before the first, interpolate across north
+    const after = nextIndex === -1 ? points[0] : points[nextIndex];
+    const before = nextIndex > 0 ? points[nextIndex - 1] : points[points.length - 1];
+
+    const span = (after.azimuth - before.azimuth + 360) % 360;
+    if (span === 0) {
+      return before.altitude;
+    }
+
+    const offset = (az - before.azimuth + 360) % 360;
+    return before.altitude + (after.altitude - before.altitude) * (offset / span);
+  }
+
+  /**
+   * Whether a skyline profile replaces the mathematical horizon
+   */
+  hasProfile() {
+    return this.profile !== null;
+  }
+
+  /**
+   * Distance from the eye to the sea or flat-terrain horizon, lengthened by terrestrial refraction
+   * @returns {number} Kilometres
+   */
+  getSeaHorizonDistance() {
+    return Math.sqrt(2 * this.observerHeight * EARTH_RADIUS_M / (1 - this.terrestrialRefraction)) / 1000;
+  }
+
+  /**
+   * Dip of the visible horizon below the astronomical horizon for the observer's eye height
+   * The horizon at distance d lies h/d + d(1 - k)/2R below the eye; at the sea horizon
+   * this is sqrt(2h(1 - k)/R)
+   * @returns {number} Dip in degrees, 0 at ground level or with a profile
+   */
+  getDip() {
+    if (this.profile || this.observerHeight === 0) {
+      return 0;
+    }
+
+    const seaHorizon = this.getSeaHorizonDistance() * 1000;
+    const distance = this.horizonDistance ? Math.min(this.horizonDistance * 1000, seaHorizon) : seaHorizon;
+    const dip = this.observerHeight / distance + distance * (1 - this.terrestrialRefraction) / (2 * EARTH_RADIUS_M);
+
+    return dip * 180 / Math.PI;
+  }
+
+  /**
+   * Summary of the horizon for calculation details
+   */
+  getInfo() {
+    const altitudes = this.profile ? this.profile.map(point => point.altitude) : [0];
+
+    const flat = !this.profile && this.observerHeight > 0;
+
+    return {
+      mode: this.mode,
+      profilePoints: this.profile ? this.profile.length : 0,
+      minAltitude: Math.min(...altitudes),
+      maxAltitude: Math.max(...altitudes),
+      observerHeight: this.observerHeight,
+      horizonDistance: flat ? Math.min(this.horizonDistance || Infinity, this.getSeaHorizonDistance()) : null,
+      terrestrialRefraction: this.terrestrialRefraction,
+      dip: this.getDip()
+    };
+  }
+}
+
+module.exports = HorizonCalculator;
@@ -0,0 +1,86 @@
+/**
+ * Inauspicious daytime periods: Rahu Kaal, Yamaganda and Gulika Kaal
+ * The sunrise-to-sunset span is split into eight equal parts and each
+ * period occupies a weekday-specific part
+ */
+
+const moment = require('moment-timezone');
+const { WEEKDAYS, getMuhuratCalculator, validateDayInputs } = require('./solarday');
+const { formatTimePoint, parseDateInput, divideTimeSpan } = require('../utils/time');
+
+// 1-based part of the day (of eight) for each weekday, Sunday first
+const KAAL_PARTS = {
+  rahuKaal: [8, 2, 7, 5, 6, 4, 3],
+  yamaganda: [5, 4, 3, 2, 1, 7, 6],
+  gulikaKaal: [7, 6, 5, 4, 3, 2, 1]
+};
+
+const KAAL_NAMES = {
+  rahuKaal: 'Rahu Kaal',
+  yamaganda: 'Yamaganda',
+  gulikaKaal: 'Gulika Kaal'
+};
+
+class KaalCalculator {
+  constructor(options = {}) {
+    this.precision = options.precision || 'high';
+    this.muhuratCalc = getMuhuratCalculator(options);
+  }
+
+  /**
+   * Calculate Rahu Kaal, Yamaganda and Gulika Kaal for given location and date
+   * @param {Object} params - Calculation parameters
+   * @returns {Object} Inauspicious period timings
+   */
+  calculate(params) {
+    const {
+      latitude,
+      longitude,
+      elevation = 0,
+      date,
+      timezone
+    } = params;
+
+    validateDayInputs(params);
+
+    const { sunrise, sunset, solarStatus } = this.muhuratCalc.calculateSunTimes(params);
+
+    const weekday = moment.tz(date, timezone).day();
+    const parts = divideTimeSpan(sunrise, sunset, 8);
+
+    const periods = {};
+    Object.keys(KAAL_PARTS).forEach(key => {
+      const part = KAAL_PARTS[key][weekday];
+      const segment = parts[part - 1];
+
+      periods[key] = {
+        name: KAAL_NAMES[key],
+        part,
+        start: formatTimePoint(segment.start, timezone),
+        end: formatTimePoint(segment.end, timezone),
+        durationMinutes: moment(segment.end).diff(moment(segment.start), 'seconds') / 60
+      };
+    });
+
+    return {
+      location: {
+        latitude,
+        longitude,
+        elevation,
+        timezone
+      },
+      date: parseDateInput(date),
+      weekday: WEEKDAYS[weekday],
+      solarStatus,
+      sunrise: formatTimePoint(sunrise, timezone),
+      sunset: formatTimePoint(sunset, timezone),
+      ...periods,
+      calculationDetails: {
+        precision: this.precision,
+        timestamp: new Date().toISOString()
+      }
+    };
+  }
+}
+
+module.exports = KaalCalculator;
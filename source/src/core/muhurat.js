@@ -5,18 +5,48 @@
 
 const moment = require('moment-timezone');
 const AstronomicalCalculator = require('./astronomical');
-const RefractionCalculator = require('./refraction');
-const { validateCoordinates, validateTimezone } = require('../utils/geo');
-const { formatDateTime, parseDateInput } = require('../utils/time');
+const HorizonCalculator = require('./horizon');
+const PanchangCalculator = require('./panchang');
+const { registerTradition, getTradition, getTraditionIds, describeTradition, DEPRESSION_ENDS } = require('./traditions');
+const { validateCoordinates, validateTimezone, checkPolarRegion } = require('../utils/geo');
+const { formatDateTime, formatTimePoint, formatDuration, parseDateInput } = require('../utils/time');
+
+// How to derive a sunrise when the Sun does not rise or set on the requested day
+const POLAR_POLICIES = ['nearest-latitude', 'one-seventh-night', 'nearest-valid-day', 'none'];
+
+// Depression-angle traditions: default angle, and the Sun's depression at civil dawn
+const DEFAULT_DEPRESSION_ANGLE = 18;
+const CIVIL_DAWN_DEPRESSION = 6;
+
+// How many days findNext looks ahead, enough to get through a polar night with polarPolicy 'none'
+const MAX_SEARCH_DAYS = 200;
 
 class MuhuratCalculator {
   constructor(options = {}) {
     this.precision = options.precision || 'high';
-    this.traditionType = options.traditionType || 'standard'; // 'standard', 'extended', 'smarta'
-    this.astronomicalCalc = new AstronomicalCalculator({ precision: this.precision });
-    this.refractionCalc = new RefractionCalculator({ 
-      model: options.refractionModel || 'bennett',
-      precision: this.precision 
+    // Registered tradition id or definition object; see traditions.js
+    this.tradition = getTradition(options.traditionType || 'standard');
+    this.traditionType = this.tradition.id;
+    this.depressionAngle = options.depressionAngle !== undefined ? options.depressionAngle : DEFAULT_DEPRESSION_ANGLE;
+    this.depressionEnd = options.depressionEnd || 'sunrise';
+    if (this.tradition.type === 'depression') {
+      this._validateDepressionOptions();
+    }
+    this.polarPolicy = options.polarPolicy || 'nearest-latitude';
+    if (!POLAR_POLICIES.includes(this.polarPolicy)) {
+      throw new Error(`Unsupported polar policy: ${this.polarPolicy}. Use one of ${POLAR_POLICIES.join(', ')}`);
+    }
+    this.astronomicalCalc = new AstronomicalCalculator({
+      precision: this.precision,
+      ephemeris: options.ephemeris,
+      dayAnchor: options.dayAnchor,
+      sunriseDefinition: options.sunriseDefinition
+    });
+    this.panchangCalc = new PanchangCalculator({
+      precision: this.precision,
+      astronomicalCalc: this.astronomicalCalc,
+      ayanamsa: options.ayanamsa || 'lahiri',
+      ayanamsaDefinition: options.ayanamsaDefinition
     });
   }
 
@@ -40,16 +70,36 @@ class MuhuratCalculator {
     // Validate all inputs
     this._validateInputs(params);
 
+    // Detect midnight sun or polar night and pick the fallback reference
+    const polar = this._resolvePolarContext(latitude, longitude, date, timezone);
+
+    // Local skyline, when the caller describes one
+    const horizon = HorizonCalculator.fromParams(params);
+
     // Calculate precise sunrise
     const sunrise = this._calculatePreciseSunrise(
-      latitude, longitude, elevation, date, timezone, pressure, temperature, humidity
+      polar, longitude, elevation, date, timezone, pressure, temperature, horizon
     );
 
     // Calculate Brahma Muhurat based on tradition type
-    const muhuratTimes = this._calculateMuhuratTimes(sunrise, latitude, longitude, date, timezone);
+    const muhuratTimes = this._resolveMuhuratTimes(
+      sunrise, polar, longitude, elevation, date, timezone, pressure, temperature, horizon
+    );
+
+    // Calculate Abhijit Muhurat around true solar noon
+    const abhijitTimes = this._calculateAbhijitMuhurat(
+      sunrise, polar, latitude, longitude, elevation, date, timezone, pressure, temperature, horizon
+    );
+
+    // Calculate panchang elements from true Sun and Moon positions
+    const panchang = this._calculatePanchang(
+      sunrise, muhuratTimes, polar, latitude, longitude, elevation, date, timezone, pressure, temperature, horizon
+    );
 
     // Get additional astronomical data
-    const astronomicalData = this._getAstronomicalData(latitude, longitude, date, timezone);
+    const astronomicalData = this._getAstronomicalData(
+      latitude, longitude, elevation, date, timezone, pressure, temperature, polar, horizon
+    );
 
     // Calculate spiritual significance metrics
     const spiritualMetrics = this._calculateSpiritualMetrics(muhuratTimes, astronomicalData);
@@ -62,6 +112,7 @@ class MuhuratCalculator {
         timezone
       },
       date: parseDateInput(date),
+      solarStatus: this._describeSolarStatus(polar, latitude),
       sunrise: {
         time: sunrise,
         formatted: formatDateTime(sunrise, timezone),
@@ -82,13 +133,47 @@ class MuhuratCalculator {
           minutes: muhuratTimes.durationMinutes,
           formatted: this._formatDuration(muhuratTimes.durationMinutes)
         },
-        traditionType: this.traditionType
+        traditionType: this.traditionType,
+        ...(muhuratTimes.depression && { depression: muhuratTimes.depression }),
+        ...(muhuratTimes.nightMuhurta && { nightMuhurta: muhuratTimes.nightMuhurta })
       },
+      abhijitMuhurat: {
+        start: {
+          time: abhijitTimes.start,
+          formatted: formatDateTime(abhijitTimes.start, timezone),
+          localTime: moment(abhijitTimes.start).tz(timezone).format('HH:mm:ss')
+        },
+        end: {
+          time: abhijitTimes.end,
+          formatted: formatDateTime(abhijitTimes.end, timezone),
+          localTime: moment(abhijitTimes.end).tz(timezone).format('HH:mm:ss')
+        },
+        solarNoon: {
+          time: abhijitTimes.solarNoon,
+          formatted: formatDateTime(abhijitTimes.solarNoon, timezone),
+          localTime: moment(abhijitTimes.solarNoon).tz(timezone).format('HH:mm:ss')
+        },
+        duration: {
+          minutes: abhijitTimes.durationMinutes,
+          formatted: this._formatDuration(Math.round(abhijitTimes.durationMinutes))
+        },
+        isAuspicious: abhijitTimes.isAuspicious,
+        note: abhijitTimes.note
+      },
+      panchang,
       astronomicalData,
       spiritualMetrics,
       calculationDetails: {
         precision: this.precision,
-        refractionModel: this.refractionCalc.model,
+        ayanamsa: this.panchangCalc.ayanamsaCalc.system,
+        dayAnchor: this.astronomicalCalc.dayAnchor,
+        sunriseDefinition: this.astronomicalCalc.sunriseDefinition,
+        horizon: horizon ? horizon.getInfo() : null,
+        ephemeris: {
+          riseSet: this.astronomicalCalc.getBackend('riseSet').id,
+          twilight: this.astronomicalCalc.getBackend('twilight').id,
+          solarPosition: this.astronomicalCalc.getBackend('solarPosition').id
+        },
         atmosphericConditions: { pressure, temperature, humidity },
         timestamp: new Date().toISOString()
       }
@@ -96,75 +181,520 @@ class MuhuratCalculator {
   }
 
   /**
-   * Calculate precise sunrise with all corrections
+   * Calculate only the Brahma Muhurat window for given location and date
+   * @param {Object} params - Calculation parameters
+   * @returns {Object} { sunrise, start, end, durationMinutes }
+   */
+  calculateWindow(params) {
+    const {
+      latitude,
+      longitude,
+      elevation = 0,
+      date,
+      timezone,
+      pressure = 1013.25,
+      temperature = 15
+    } = params;
+
+    this._validateInputs(params);
+
+    const polar = this._resolvePolarContext(latitude, longitude, date, timezone);
+    const horizon = HorizonCalculator.fromParams(params);
+    const sunrise = this._calculatePreciseSunrise(
+      polar, longitude, elevation, date, timezone, pressure, temperature, horizon
+    );
+    const muhuratTimes = this._resolveMuhuratTimes(
+      sunrise, polar, longitude, elevation, date, timezone, pressure, temperature, horizon
+    );
+
+    return { sunrise, ...muhuratTimes };
+  }
+
+  /**
+   * Sunrise and the following sunset of a date, resolved with the same polar fallback and local horizon
+   * as the muhurat
+   * @param {Object} params - Calculation parameters
+   * @param {Object} options - { nextSunrise: true } to add the sunrise ending the night, which follows
+   *   the next day's own polar fallback
+   * @returns {Object} { sunrise, sunset, nextSunrise, solarStatus }
    */
-  _calculatePreciseSunrise(latitude, longitude, elevation, date, timezone, pressure, temperature, humidity) {
-    // Get base sunrise calculation
-    const baseSunrise = this.astronomicalCalc.calculateSunrise(
-      latitude, longitude, elevation, date, timezone, pressure, temperature
+  calculateSunTimes(params, options = {}) {
+    const {
+      latitude,
+      longitude,
+      elevation = 0,
+      date,
+      timezone,
+      pressure = 1013.25,
+      temperature = 15
+    } = params;
+
+    this._validateInputs(params);
+
+    const polar = this._resolvePolarContext(latitude, longitude, date, timezone);
+    const horizon = HorizonCalculator.fromParams(params);
+    const sunEventAfter = (event, after, day, context = polar) => this._calculateSunEventAfter(
+      event, after, context, longitude, elevation, day, timezone, pressure, temperature, horizon
+    );
+
+    const sunrise = this._calculateSunEvent(
+      'sunrise', polar, longitude, elevation, date, timezone, pressure, temperature, horizon
     );
+    const sunset = sunEventAfter('sunset', sunrise, date);
 
-    // Apply additional refraction corrections for maximum precision
-    if (this.precision === 'maximum') {
-      const correctedSunrise = this.refractionCalc.applySunriseCorrection(
-        baseSunrise, latitude, longitude, pressure, temperature, humidity
-      );
-      return correctedSunrise;
+    const times = { sunrise, sunset, solarStatus: this._describeSolarStatus(polar, latitude) };
+    if (options.nextSunrise) {
+      const nextDate = moment.tz(date, timezone).add(1, 'day').format('YYYY-MM-DD');
+      const nextPolar = this._resolveNextPolarContext(polar, latitude, longitude, nextDate, timezone);
+      times.nextSunrise = sunEventAfter('sunrise', sunset, nextDate, nextPolar);
     }
 
-    return baseSunrise;
+    return times;
   }
 
   /**
-   * Calculate Brahma Muhurat times based on tradition type
+   * Whether an instant falls inside a Brahma Muhurat, how much of it remains and when the next one starts
+   * @param {Object} location - { latitude, longitude, elevation, timezone, pressure, temperature, humidity }
+   * @param {Date|string} instant - Instant to evaluate (defaults to now)
+   * @returns {Object} { instant, isBrahmaMuhurat, current, remaining, next, startsIn }
    */
-  _calculateMuhuratTimes(sunrise, latitude, longitude, date, timezone) {
-    const sunriseMoment = moment(sunrise);
+  getCurrentState(location, instant = new Date()) {
+    const at = moment(instant).toDate();
+    const localDate = moment(at).tz(location.timezone);
+
+    // The window belongs to the date of its sunrise; it may begin on the previous calendar day
+    const current = [-1, 0, 1]
+      .map(offset => this._windowForDate(location, localDate.clone().add(offset, 'days')))
+      .find(window => window && window.start <= at && at < window.end) || null;
+    const next = this._findNextWindow(location, at);
+
+    return {
+      instant: at,
+      location,
+      isBrahmaMuhurat: current !== null,
+      current: current && this._formatWindow(current, location.timezone),
+      remaining: current && this._formatSpan(at, current.end),
+      next: next && this._formatWindow(next, location.timezone),
+      startsIn: next && this._formatSpan(at, next.start)
+    };
+  }
+
+  /**
+   * Find the first Brahma Muhurat starting after an instant
+   * Before sunrise that is usually the window of the same calendar day, after sunrise the next day's
+   * @param {Object} location - { latitude, longitude, elevation, timezone, pressure, temperature, humidity }
+   * @param {Date|string} after - Instant to search from (defaults to now)
+   * @returns {Object|null} Window with startsIn, or null when none starts within MAX_SEARCH_DAYS
+   */
+  findNext(location, after = new Date()) {
+    const at = moment(after).toDate();
+    const next = this._findNextWindow(location, at);
+
+    return next && {
+      ...this._formatWindow(next, location.timezone),
+      startsIn: this._formatSpan(at, next.start)
+    };
+  }
+
+  _findNextWindow(location, at) {
+    const localDate = moment(at).tz(location.timezone);
+
+    for (let offset = 0; offset <= MAX_SEARCH_DAYS; offset++) {
+      const window = this._windowForDate(location, localDate.clone().add(offset, 'days'));
+      if (window && window.start > at) {
+        return window;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Brahma Muhurat window for a local date, or null when none can be calculated
+   * (e.g. polar night with polarPolicy 'none')
+   */
+  _windowForDate(location, dateMoment) {
+    const date = dateMoment.format('YYYY-MM-DD');
+
+    try {
+      const window = this.calculateWindow({ ...location, date });
+      if (!moment(window.start).isValid() || !moment(window.end).isValid()) {
+        return null;
+      }
+      return { date, ...window };
+    } catch (_error) {
+      return null;
+    }
+  }
+
+  _formatWindow(window, timezone) {
+    return {
+      date: window.date,
+      start: formatTimePoint(window.start, timezone),
+      end: formatTimePoint(window.end, timezone),
+      sunrise: formatTimePoint(window.sunrise, timezone),
+      durationMinutes: window.durationMinutes
+    };
+  }
+
+  _formatSpan(from, to) {
+    const seconds = Math.round((to - from) / 1000);
+    return {
+      seconds,
+      formatted: formatDuration(Math.floor(seconds / 60))
+    };
+  }
+
+  /**
+   * Determine whether the Sun rises on the requested day and, if not,
+   * which latitude or day the configured polar policy borrows sunrise from
+   */
+  _resolvePolarContext(latitude, longitude, date, timezone) {
+    const dateMoment = moment.tz(date, timezone);
+    const status = this.astronomicalCalc.getSolarDayStatus(latitude, longitude, date, timezone);
+    const context = {
+      status,
+      policy: this.polarPolicy,
+      fallbackApplied: false,
+      latitude,
+      dayOffset: 0,
+      date: dateMoment.format('YYYY-MM-DD')
+    };
+
+    if (status === 'normal') {
+      return context;
+    }
 
-    switch (this.traditionType) {
-      case 'extended':
-        // Extended Brahma Muhurat: 2 hours before sunrise
+    switch (this.polarPolicy) {
+      case 'none':
+        throw new Error(
+          `No sunrise or sunset on ${context.date} at latitude ${latitude} (${status}). ` +
+          'Set polarPolicy to calculate a fallback'
+        );
+
+      case 'nearest-valid-day': {
+        const dayOffset = this.astronomicalCalc.findNearestNormalDay(latitude, longitude, date, timezone);
         return {
-          start: sunriseMoment.clone().subtract(120, 'minutes').toDate(),
-          end: sunrise,
-          durationMinutes: 120
+          ...context,
+          fallbackApplied: true,
+          dayOffset,
+          date: dateMoment.clone().add(dayOffset, 'days').format('YYYY-MM-DD')
         };
+      }
 
-      case 'smarta':
-        // Smārta tradition: Exact 96 minutes (traditional calculation)
+      case 'nearest-latitude':
+      case 'one-seventh-night':
+      default:
         return {
-          start: sunriseMoment.clone().subtract(96, 'minutes').toDate(),
-          end: sunrise,
-          durationMinutes: 96
+          ...context,
+          fallbackApplied: true,
+          latitude: this.astronomicalCalc.findNearestNormalLatitude(latitude, longitude, date, timezone)
         };
+    }
+  }
+
+  /**
+   * Polar context of the day after one already resolved
+   * The following day may need a fallback of its own, or none at all
+   */
+  _resolveNextPolarContext(polar, latitude, longitude, nextDate, timezone) {
+    return this.polarPolicy === 'none'
+      ? polar
+      : this._resolvePolarContext(latitude, longitude, nextDate, timezone);
+  }
+
+  /**
+   * Calculate sunrise or sunset for a date, taken from the polar fallback reference
+   * and moved back onto the requested date when borrowed from another day
+   */
+  _calculateSunEvent(event, polar, longitude, elevation, date, timezone, pressure, temperature, horizon) {
+    const referenceDate = moment.tz(date, timezone).add(polar.dayOffset, 'days').format('YYYY-MM-DD');
+    const method = event === 'sunset' ? 'calculateSunset' : 'calculateSunrise';
+    const time = this.astronomicalCalc[method](
+      polar.latitude, longitude, elevation, referenceDate, timezone, pressure, temperature, horizon
+    );
+
+    if (!polar.dayOffset) {
+      return time;
+    }
+    return moment(time).tz(timezone).subtract(polar.dayOffset, 'days').toDate();
+  }
+
+  /**
+   * Get sunrise or sunset of a date under a polar context as the first one after an instant; when the
+   * date's own event is not after it, as when the Sun sets after local midnight, the next date's is taken
+   */
+  _calculateSunEventAfter(event, after, polar, longitude, elevation, date, timezone, pressure, temperature, horizon) {
+    const time = this._calculateSunEvent(event, polar, longitude, elevation, date, timezone, pressure, temperature, horizon);
+    if (!moment(after).isValid() || time > after) {
+      return time;
+    }
+
+    const nextDate = moment.tz(date, timezone).add(1, 'day').format('YYYY-MM-DD');
+    return this._calculateSunEvent(event, polar, longitude, elevation, nextDate, timezone, pressure, temperature, horizon);
+  }
+
+  /**
+   * Summarise the solar day status and any polar fallback for the result
+   */
+  _describeSolarStatus(polar, latitude) {
+    let note = checkPolarRegion(latitude).warning;
 
-      case 'dynamic':
-        // Dynamic calculation based on day length
-        const dayLength = this._calculateDayLength(latitude, longitude, date, timezone);
-        const muhuratDuration = Math.round(dayLength.totalMinutes / 15); // 1/15th of day length
+    if (polar.fallbackApplied) {
+      const condition = polar.status === 'midnight-sun' ? 'The Sun does not set' : 'The Sun does not rise';
+      if (polar.policy === 'nearest-valid-day') {
+        note = `${condition} on this day; sunrise is taken from ${polar.date}, the nearest day with a sunrise`;
+      } else if (polar.policy === 'one-seventh-night') {
+        note = `${condition} on this day; Brahma Muhurat is the last seventh of the night at latitude ${polar.latitude}°`;
+      } else {
+        note = `${condition} on this day; sunrise is taken from latitude ${polar.latitude}°, the nearest with a sunrise`;
+      }
+    }
+
+    return {
+      status: polar.status,
+      policy: polar.policy,
+      fallbackApplied: polar.fallbackApplied,
+      referenceLatitude: polar.fallbackApplied ? polar.latitude : null,
+      referenceDate: polar.fallbackApplied && polar.dayOffset ? polar.date : null,
+      note
+    };
+  }
+
+  /**
+   * Calculate precise sunrise with all corrections
+   */
+  _calculatePreciseSunrise(polar, longitude, elevation, date, timezone, pressure, temperature, horizon) {
+    // Refraction for the conditions is already applied on the sunrise definition's altitude;
+    // correcting the backend's refracted sunrise again would count it twice
+    return this._calculateSunEvent(
+      'sunrise', polar, longitude, elevation, date, timezone, pressure, temperature, horizon
+    );
+  }
+
+  /**
+   * Calculate Brahma Muhurat times, applying the one-seventh-of-night rule
+   * when that polar policy is in effect
+   */
+  _resolveMuhuratTimes(sunrise, polar, longitude, elevation, date, timezone, pressure, temperature, horizon) {
+    const sunEvent = (event, day, after) => this._calculateSunEventAfter(
+      event, after, polar, longitude, elevation, day, timezone, pressure, temperature, horizon
+    );
+    // The night starts at the sunset following the previous sunrise, which may be after midnight
+    const calculatePreviousSunset = () => {
+      const previousDate = moment.tz(date, timezone).subtract(1, 'day').format('YYYY-MM-DD');
+      return sunEvent('sunset', previousDate, sunEvent('sunrise', previousDate, null));
+    };
+
+    if (polar.fallbackApplied && polar.policy === 'one-seventh-night') {
+      const previousSunset = calculatePreviousSunset();
+      const nightSeconds = moment(sunrise).diff(moment(previousSunset), 'seconds');
+      const durationSeconds = Math.round(nightSeconds / 7);
+
+      return {
+        start: moment(sunrise).subtract(durationSeconds, 'seconds').toDate(),
+        end: sunrise,
+        durationMinutes: Math.round(durationSeconds / 60)
+      };
+    }
+
+    const needsNight = ['night-fraction', 'custom'].includes(this.tradition.type);
+    const previousSunset = needsNight ? calculatePreviousSunset() : null;
+    const sunset = this.tradition.type === 'custom' ? sunEvent('sunset', date, sunrise) : null;
+    return this._calculateMuhuratTimes(
+      sunrise, polar.latitude, longitude, polar.date, timezone, previousSunset, sunset
+    );
+  }
+
+  /**
+   * Calculate Brahma Muhurat times from the tradition's definition
+   * @param {Date} previousSunset - Sunset before this sunrise, for night-fraction and custom traditions
+   * @param {Date} sunset - Sunset ending this day, for custom traditions
+   */
+  _calculateMuhuratTimes(sunrise, latitude, longitude, date, timezone, previousSunset = null, sunset = null) {
+    const sunriseMoment = moment(sunrise);
+    const tradition = this.tradition;
+
+    switch (tradition.type) {
+      case 'night-fraction': {
+        // The night has 15 muhurtas from the previous sunset; the window is a fraction of it before sunrise
+        const nightSeconds = sunriseMoment.diff(moment(previousSunset), 'milliseconds') / 1000;
+        const durationSeconds = nightSeconds * tradition.fraction;
         return {
-          start: sunriseMoment.clone().subtract(muhuratDuration, 'minutes').toDate(),
+          start: sunriseMoment.clone().subtract(Math.round(durationSeconds * 1000), 'milliseconds').toDate(),
           end: sunrise,
-          durationMinutes: muhuratDuration
+          durationMinutes: Math.round(durationSeconds / 60),
+          nightMuhurta: {
+            minutes: Math.round(nightSeconds / 15 / 60 * 100) / 100,
+            nightMinutes: Math.round(nightSeconds / 60 * 100) / 100,
+            previousSunset: formatTimePoint(previousSunset, timezone)
+          }
         };
+      }
+
+      case 'depression':
+        // Sky darkness: from the Sun at a set angle below the horizon until sunrise or civil dawn
+        return this._calculateDepressionTimes(sunrise, latitude, longitude, timezone);
+
+      case 'custom':
+        return this._calculateCustomTimes(sunrise, latitude, longitude, date, timezone, previousSunset, sunset);
 
-      case 'standard':
+      case 'offset':
       default:
-        // Standard Brahma Muhurat: 96 minutes (1 hour 36 minutes) before sunrise
+        // A fixed number of minutes before sunrise, e.g. 96 for the standard tradition
         return {
-          start: sunriseMoment.clone().subtract(96, 'minutes').toDate(),
+          start: sunriseMoment.clone().subtract(tradition.minutes, 'minutes').toDate(),
           end: sunrise,
-          durationMinutes: 96
+          durationMinutes: tradition.minutes
         };
     }
   }
 
+  /**
+   * Run a custom tradition's calculate() with the astronomical context of the day
+   * It returns { start, end }; end defaults to sunrise
+   */
+  _calculateCustomTimes(sunrise, latitude, longitude, date, timezone, previousSunset, sunset) {
+    const times = this.tradition.calculate({
+      sunrise,
+      previousSunset,
+      sunset,
+      latitude,
+      longitude,
+      date,
+      timezone,
+      astronomicalCalc: this.astronomicalCalc
+    }) || {};
+
+    const start = times.start;
+    const end = times.end || sunrise;
+    if (!moment(start).isValid() || !moment(end).isValid() || !(start < end)) {
+      throw new Error(`Tradition '${this.tradition.id}' must return a start before its end`);
+    }
+
+    return {
+      start,
+      end,
+      durationMinutes: Math.round(moment(end).diff(moment(start), 'seconds') / 60)
+    };
+  }
+
+  /**
+   * Brahma Muhurat from the Sun's depression below the horizon
+   * The dawn crossing is searched in the 24 hours before sunrise, so it follows any polar fallback;
+   * when the Sun never sinks that far the muhurat starts at the darkest moment of the night
+   */
+  _calculateDepressionTimes(sunrise, latitude, longitude, timezone) {
+    const { angle, end: depressionEnd } = this._getDepressionSettings();
+    const searchStart = moment(sunrise).subtract(1, 'day').toDate();
+    const dawnAt = (depression) => this.astronomicalCalc.searchSolarAltitude(
+      latitude, longitude, searchStart, -depression, 'rise'
+    );
+
+    let start = dawnAt(angle);
+    const reached = moment(start).isValid();
+    if (!reached) {
+      const sunriseDate = moment(sunrise).tz(timezone).format('YYYY-MM-DD');
+      const solarNoon = this.astronomicalCalc.calculateSolarTransit(latitude, longitude, 0, sunriseDate, timezone);
+      start = moment(solarNoon).subtract(12, 'hours').toDate();
+    }
+
+    let end = sunrise;
+    let endsAt = 'sunrise';
+    if (depressionEnd === 'civil-dawn') {
+      const civilDawn = dawnAt(CIVIL_DAWN_DEPRESSION);
+      if (moment(civilDawn).isValid() && civilDawn > start) {
+        end = civilDawn;
+        endsAt = 'civil-dawn';
+      }
+    }
+
+    let note = `Starts when the Sun is ${angle}° below the horizon`;
+    if (!reached) {
+      note = `The Sun does not reach ${angle}° below the horizon; starts at the darkest point of the night`;
+    }
+    if (endsAt !== depressionEnd) {
+      note += '; civil dawn does not occur, so it ends at sunrise';
+    }
+
+    return {
+      start,
+      end,
+      durationMinutes: Math.round(moment(end).diff(moment(start), 'seconds') / 60),
+      depression: {
+        angle,
+        end: endsAt,
+        reached,
+        note
+      }
+    };
+  }
+
+  /**
+   * Calculate Abhijit Muhurat: the 8th day muhurta, centered on true solar noon
+   * Its length is 1/15th of the sunrise-to-sunset span
+   */
+  _calculateAbhijitMuhurat(sunrise, polar, latitude, longitude, elevation, date, timezone, pressure, temperature, horizon) {
+    // The same sunset as calculateSunTimes, which may fall after local midnight near the polar circles
+    const sunset = this._calculateSunEventAfter(
+      'sunset', sunrise, polar, longitude, elevation, date, timezone, pressure, temperature, horizon
+    );
+    const solarNoon = this.astronomicalCalc.calculateSolarTransit(latitude, longitude, elevation, date, timezone);
+
+    const dayMinutes = moment(sunset).diff(moment(sunrise), 'seconds') / 60;
+    const durationMinutes = Math.round((dayMinutes / 15) * 100) / 100;
+    const halfSpanSeconds = (dayMinutes / 30) * 60;
+
+    // Most panchangs do not treat Abhijit as auspicious on Wednesday
+    const isWednesday = moment.tz(date, timezone).day() === 3;
+
+    return {
+      start: moment(solarNoon).subtract(halfSpanSeconds, 'seconds').toDate(),
+      end: moment(solarNoon).add(halfSpanSeconds, 'seconds').toDate(),
+      solarNoon,
+      durationMinutes,
+      isAuspicious: !isWednesday,
+      note: isWednesday
+        ? 'Abhijit Muhurat is traditionally avoided on Wednesday'
+        : 'Auspicious midday period, favourable for starting important work'
+    };
+  }
+
+  /**
+   * Calculate panchang elements for the Hindu day starting at this sunrise
+   */
+  _calculatePanchang(sunrise, muhuratTimes, polar, latitude, longitude, elevation, date, timezone, pressure, temperature, horizon) {
+    const nextDate = moment.tz(date, timezone).add(1, 'day').format('YYYY-MM-DD');
+
+    const nextPolar = this._resolveNextPolarContext(polar, latitude, longitude, nextDate, timezone);
+    const nextSunrise = this._calculateSunEvent(
+      'sunrise', nextPolar, longitude, elevation, nextDate, timezone, pressure, temperature, horizon
+    );
+
+    // Without a sunrise there is no Hindu day to evaluate
+    if (!moment(sunrise).isValid() || !moment(nextSunrise).isValid()) {
+      return { tithi: null, nakshatra: null, yoga: null, karana: null, ayanamsa: null };
+    }
+
+    return {
+      tithi: this.panchangCalc.calculateTithiDetails(sunrise, nextSunrise, muhuratTimes.start, timezone),
+      ...this.panchangCalc.calculateMuhuratElements(muhuratTimes.start, muhuratTimes.end, timezone)
+    };
+  }
+
   /**
    * Get comprehensive astronomical data for the calculation
    */
-  _getAstronomicalData(latitude, longitude, date, timezone) {
+  _getAstronomicalData(latitude, longitude, elevation, date, timezone, pressure, temperature, polar, horizon) {
     const twilightTimes = this.astronomicalCalc.getTwilightTimes(latitude, longitude, date, timezone);
-    const dayLength = this.astronomicalCalc.calculateDayLength(latitude, longitude, date, timezone);
+
+    // Day and night lengths follow the polar fallback reference so the night portion stays defined
+    const reference = polar || { latitude, date };
+    const dayLength = this.astronomicalCalc.calculateDayLength(
+      reference.latitude, longitude, reference.date, timezone, elevation, pressure, temperature, horizon
+    );
+    const nightSpan = this.astronomicalCalc.calculateNightSpan(
+      reference.latitude, longitude, elevation, reference.date, timezone, pressure, temperature, horizon
+    );
     const solarPosition = this.astronomicalCalc.calculateSolarPosition(latitude, longitude, date, timezone);
 
     return {
@@ -184,6 +714,7 @@ class MuhuratCalculator {
         dayFormatted: dayLength.dayLengthFormatted,
         nightFormatted: dayLength.nightLengthFormatted
       },
+      nightSpan,
       solarPosition: {
         azimuth: solarPosition.azimuth,
         elevation: solarPosition.elevation,
@@ -198,13 +729,15 @@ class MuhuratCalculator {
    */
   _calculateSpiritualMetrics(muhuratTimes, astronomicalData) {
     const muhuratDuration = muhuratTimes.durationMinutes;
-    const totalNightDuration = astronomicalData.dayLength.nightMinutes;
+    const totalNightDuration = astronomicalData.nightSpan.durationSeconds / 60;
     
-    // Calculate what portion of night is Brahma Muhurat
+    // Calculate what portion of the night ending at this sunrise is Brahma Muhurat
     const nightPortion = (muhuratDuration / totalNightDuration) * 100;
     
-    // Determine moon phase influence (simplified)
-    const moonPhase = this._calculateMoonPhase(muhuratTimes.start);
+    // Determine moon phase influence at the muhurat start (none without a sunrise)
+    const moonPhase = moment(muhuratTimes.start).isValid()
+      ? this._calculateMoonPhase(muhuratTimes.start)
+      : null;
     
     // Calculate seasonal significance
     const seasonalFactor = this._calculateSeasonalFactor(muhuratTimes.start);
@@ -214,11 +747,7 @@ class MuhuratCalculator {
         percentage: Math.round(nightPortion * 100) / 100,
         description: this._getNightPortionDescription(nightPortion)
       },
-      moonPhase: {
-        phase: moonPhase.phase,
-        illumination: moonPhase.illumination,
-        spiritualSignificance: moonPhase.spiritualSignificance
-      },
+      moonPhase,
       seasonalFactor: {
         factor: seasonalFactor,
         description: this._getSeasonalDescription(seasonalFactor)
@@ -228,45 +757,36 @@ class MuhuratCalculator {
   }
 
   /**
-   * Calculate day length for location and date
-   */
-  _calculateDayLength(latitude, longitude, date, timezone) {
-    return this.astronomicalCalc.calculateDayLength(latitude, longitude, date, timezone);
-  }
-
-  /**
-   * Calculate moon phase (simplified calculation)
+   * Calculate moon phase from the Moon's true position at the given instant
+   * Phase names follow the Moon-Sun elongation; the principal phases cover
+   * one tithi (12°) on either side of the exact phase
    */
   _calculateMoonPhase(date) {
-    const dateMoment = moment(date);
-    
-    // Simplified lunar cycle calculation (29.53 days average)
-    const knownNewMoon = moment('2024-01-11'); // Known new moon date
-    const daysSinceNewMoon = dateMoment.diff(knownNewMoon, 'days') % 29.53;
-    const illumination = Math.abs(Math.cos((daysSinceNewMoon / 29.53) * 2 * Math.PI));
+    const lunar = this.astronomicalCalc.calculateLunarData(date);
+    const elongation = lunar.elongation;
     
     let phase;
     let spiritualSignificance;
     
-    if (daysSinceNewMoon < 1 || daysSinceNewMoon > 28) {
+    if (elongation >= 348 || elongation < 12) {
       phase = 'New Moon';
       spiritualSignificance = 'Highly auspicious for new beginnings and meditation';
-    } else if (daysSinceNewMoon < 7) {
+    } else if (elongation < 78) {
       phase = 'Waxing Crescent';
       spiritualSignificance = 'Good for setting intentions and spiritual growth';
-    } else if (daysSinceNewMoon < 9) {
+    } else if (elongation < 102) {
       phase = 'First Quarter';
       spiritualSignificance = 'Balanced energy, good for all spiritual practices';
-    } else if (daysSinceNewMoon < 14) {
+    } else if (elongation < 168) {
       phase = 'Waxing Gibbous';
       spiritualSignificance = 'Building energy, excellent for intensive practices';
-    } else if (daysSinceNewMoon < 16) {
+    } else if (elongation < 192) {
       phase = 'Full Moon';
       spiritualSignificance = 'Peak spiritual energy, ideal for advanced practices';
-    } else if (daysSinceNewMoon < 22) {
+    } else if (elongation < 258) {
       phase = 'Waning Gibbous';
       spiritualSignificance = 'Good for reflection and inner work';
-    } else if (daysSinceNewMoon < 24) {
+    } else if (elongation < 282) {
       phase = 'Last Quarter';
       spiritualSignificance = 'Time for release and letting go';
     } else {
@@ -274,7 +794,22 @@ class MuhuratCalculator {
       spiritualSignificance = 'Preparation for renewal, deep meditation';
     }
     
-    return { phase, illumination, spiritualSignificance };
+    return {
+      phase,
+      illumination: lunar.illuminatedFraction,
+      spiritualSignificance,
+      phaseAngle: lunar.phaseAngle,
+      elongation,
+      ageDays: lunar.ageDays,
+      distanceKm: lunar.distanceKm,
+      // Deprecated names of ageDays and distanceKm
+      age: lunar.ageDays,
+      distance: lunar.distanceKm,
+      angularDiameter: lunar.angularDiameter,
+      nextNewMoon: lunar.nextNewMoon,
+      nextFullMoon: lunar.nextFullMoon,
+      evaluatedAt: new Date(date)
+    };
   }
 
   /**
@@ -380,34 +915,37 @@ class MuhuratCalculator {
     }
   }
 
+  /**
+   * Depression angle and end of a depression tradition; unset values come from the calculator options
+   */
+  _getDepressionSettings() {
+    return {
+      angle: this.tradition.angle !== undefined ? this.tradition.angle : this.depressionAngle,
+      end: this.tradition.end || this.depressionEnd
+    };
+  }
+
+  /**
+   * Validate the depression-angle tradition options
+   */
+  _validateDepressionOptions() {
+    const { angle, end } = this._getDepressionSettings();
+    AstronomicalCalculator.validateDepressionAngle(angle);
+
+    if (!DEPRESSION_ENDS.includes(end)) {
+      throw new Error(`Unsupported depression end: ${end}. Use one of ${DEPRESSION_ENDS.join(', ')}`);
+    }
+    if (end === 'civil-dawn' && angle <= CIVIL_DAWN_DEPRESSION) {
+      throw new Error(`Depression angle must exceed ${CIVIL_DAWN_DEPRESSION}° to end at civil dawn`);
+    }
+  }
+
   /**
    * Get tradition type information
    */
   getTraditionInfo() {
-    const traditions = {
-      standard: {
-        name: 'Standard Brahma Muhurat',
-        duration: '96 minutes (1 hour 36 minutes)',
-        description: 'Traditional calculation used in most Hindu calendars'
-      },
-      extended: {
-        name: 'Extended Brahma Muhurat',
-        duration: '120 minutes (2 hours)',
-        description: 'Extended period for intensive spiritual practices'
-      },
-      smarta: {
-        name: 'Smārta Tradition',
-        duration: '96 minutes (exact)',
-        description: 'Orthodox calculation following classical texts'
-      },
-      dynamic: {
-        name: 'Dynamic Calculation',
-        duration: 'Variable (1/15th of day length)',
-        description: 'Seasonal adjustment based on day-night duration'
-      }
-    };
-    
-    return traditions[this.traditionType] || traditions.standard;
+    const { angle, end } = this._getDepressionSettings();
+    return describeTradition(this.tradition, { depressionAngle: angle, depressionEnd: end });
   }
 
   /**
@@ -425,6 +963,35 @@ class MuhuratCalculator {
       }
     });
   }
+
+  /**
+   * Get the supported polar day / polar night fallback policies
+   */
+  static getPolarPolicies() {
+    return [...POLAR_POLICIES];
+  }
+
+  /**
+   * Register a custom tradition, selectable afterwards by its id as traditionType
+   * @param {Object} tradition - Tradition definition, see traditions.js
+   * @returns {Object} The registered tradition
+   */
+  static registerTradition(tradition) {
+    return registerTradition(tradition);
+  }
+
+  /**
+   * Get id, name, duration and description of all registered traditions
+   */
+  static getTraditions() {
+    return getTraditionIds().map(id => ({
+      id,
+      ...describeTradition(getTradition(id), {
+        depressionAngle: DEFAULT_DEPRESSION_ANGLE,
+        depressionEnd: 'sunrise'
+      })
+    }));
+  }
 }
 
 module.exports = MuhuratCalculator;
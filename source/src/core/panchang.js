@@ -0,0 +1,294 @@
+/**
+ * Panchang elements computed from true Sun and Moon positions
+ * Uses Astronomy Engine for geocentric ecliptic longitudes
+ */
+
+const Astronomy = require('astronomy-engine');
+const moment = require('moment-timezone');
+const AstronomicalCalculator = require('./astronomical');
+const AyanamsaCalculator = require('./ayanamsa');
+const { formatTimePoint } = require('../utils/time');
+
+const TITHI_NAMES = [
+  'Pratipada', 'Dwitiya', 'Tritiya', 'Chaturthi', 'Panchami',
+  'Shashthi', 'Saptami', 'Ashtami', 'Navami', 'Dashami',
+  'Ekadashi', 'Dwadashi', 'Trayodashi', 'Chaturdashi'
+];
+
+const NAKSHATRA_NAMES = [
+  'Ashwini', 'Bharani', 'Krittika', 'Rohini', 'Mrigashira', 'Ardra',
+  'Punarvasu', 'Pushya', 'Ashlesha', 'Magha', 'Purva Phalguni', 'Uttara Phalguni',
+  'Hasta', 'Chitra', 'Swati', 'Vishakha', 'Anuradha', 'Jyeshtha',
+  'Mula', 'Purva Ashadha', 'Uttara Ashadha', 'Shravana', 'Dhanishta', 'Shatabhisha',
+  'Purva Bhadrapada', 'Uttara Bhadrapada', 'Revati'
+];
+
+// Vimshottari lords repeat every nine nakshatras starting from Ashwini
+const NAKSHATRA_LORDS = ['Ketu', 'Venus', 'Sun', 'Moon', 'Mars', 'Rahu', 'Jupiter', 'Saturn', 'Mercury'];
+
+const YOGA_NAMES = [
+  'Vishkambha', 'Priti', 'Ayushman', 'Saubhagya', 'Shobhana', 'Atiganda',
+  'Sukarma', 'Dhriti', 'Shula', 'Ganda', 'Vriddhi', 'Dhruva',
+  'Vyaghata', 'Harshana', 'Vajra', 'Siddhi', 'Vyatipata', 'Variyan',
+  'Parigha', 'Shiva', 'Siddha', 'Sadhya', 'Shubha', 'Shukla',
+  'Brahma', 'Indra', 'Vaidhriti'
+];
+
+// Yogas traditionally considered inauspicious
+const INAUSPICIOUS_YOGAS = ['Vishkambha', 'Atiganda', 'Shula', 'Ganda', 'Vyaghata', 'Vajra', 'Vyatipata', 'Parigha', 'Vaidhriti'];
+
+const MOVABLE_KARANAS = ['Bava', 'Balava', 'Kaulava', 'Taitila', 'Garaja', 'Vanija', 'Vishti'];
+
+// Each tithi is 12 degrees of Moon-Sun elongation
+const TITHI_SPAN = 12;
+
+// Each nakshatra and yoga is 13°20', each pada a quarter of that
+const NAKSHATRA_SPAN = 360 / 27;
+const PADA_SPAN = NAKSHATRA_SPAN / 4;
+
+// Each karana is half a tithi
+const KARANA_SPAN = 6;
+
+// No nakshatra, yoga or karana lasts longer than this
+const ELEMENT_SEARCH_DAYS = 1.5;
+
+class PanchangCalculator {
+  constructor(options = {}) {
+    this.precision = options.precision || 'high';
+    this.astronomicalCalc = options.astronomicalCalc || new AstronomicalCalculator({ precision: this.precision });
+    this.ayanamsaCalc = new AyanamsaCalculator({
+      system: options.ayanamsa || 'lahiri',
+      definition: options.ayanamsaDefinition
+    });
+  }
+
+  /**
+   * Moon-Sun elongation (0-360 degrees) at a given instant
+   */
+  getElongation(date) {
+    return Astronomy.MoonPhase(Astronomy.MakeTime(new Date(date)));
+  }
+
+  /**
+   * Get the tithi prevailing at a given instant
+   * @param {Date} date - Instant to evaluate
+   * @param {string} timezone - Timezone for formatted start/end times
+   * @returns {Object} Tithi number, name, paksha and its start and end instants
+   */
+  getTithi(date, timezone) {
+    const instant = new Date(date);
+    const elongation = this.getElongation(instant);
+    const number = Math.floor(elongation / TITHI_SPAN) + 1;
+
+    const startAngle = (number - 1) * TITHI_SPAN;
+    const endAngle = (number * TITHI_SPAN) % 360;
+
+    // A tithi never lasts longer than about 27 hours, so two days covers both bounds
+    const start = Astronomy.SearchMoonPhase(startAngle, Astronomy.MakeTime(instant), -2);
+    const end = Astronomy.SearchMoonPhase(endAngle, Astronomy.MakeTime(instant), 2);
+
+    return {
+      number,
+      name: this._getTithiName(number),
+      paksha: number <= 15 ? 'Shukla' : 'Krishna',
+      elongation: Math.round(elongation * 10000) / 10000,
+      start: formatTimePoint(start.date, timezone),
+      end: formatTimePoint(end.date, timezone)
+    };
+  }
+
+  /**
+   * Calculate tithi details for a Hindu day
+   * @param {Date} sunrise - Sunrise of the day
+   * @param {Date} nextSunrise - Following sunrise
+   * @param {Date} muhuratStart - Brahma Muhurat start
+   * @param {string} timezone - Timezone for formatted times
+   * @returns {Object} Tithi at sunrise, at Brahma Muhurat and all tithi endings within the day
+   */
+  calculateTithiDetails(sunrise, nextSunrise, muhuratStart, timezone) {
+    const atSunrise = this.getTithi(sunrise, timezone);
+    const atBrahmaMuhurat = this.getTithi(muhuratStart, timezone);
+
+    // Walk forward through tithis that end before the next sunrise
+    const endings = [];
+    let current = atSunrise;
+    while (moment(current.end.time).isBefore(nextSunrise)) {
+      endings.push({
+        number: current.number,
+        name: current.name,
+        paksha: current.paksha,
+        end: current.end
+      });
+      current = this.getTithi(moment(current.end.time).add(1, 'minute').toDate(), timezone);
+    }
+
+    return {
+      atSunrise,
+      atBrahmaMuhurat,
+      endings,
+      hasKshayaTithi: endings.length > 1,
+      hasVriddhiTithi: endings.length === 0
+    };
+  }
+
+  /**
+   * Sidereal ecliptic longitudes of the Sun and Moon at a given instant
+   * @param {Date} date - Instant to evaluate
+   * @returns {Object} { sun, moon } sidereal longitudes in degrees
+   */
+  getSiderealLongitudes(date) {
+    const tropical = this.astronomicalCalc.calculateTropicalLongitudes(date);
+    return this.ayanamsaCalc.convertLongitudes(tropical, date);
+  }
+
+  /**
+   * Get the Moon's nakshatra and pada at a given instant
+   */
+  getNakshatra(date, timezone) {
+    const moonLongitude = (t) => this.getSiderealLongitudes(t).moon;
+    const longitude = moonLongitude(date);
+    const index = Math.floor(longitude / NAKSHATRA_SPAN);
+    const bounds = this._findElementBounds(moonLongitude, index, NAKSHATRA_SPAN, date);
+
+    return {
+      number: index + 1,
+      name: NAKSHATRA_NAMES[index],
+      pada: Math.floor((longitude - index * NAKSHATRA_SPAN) / PADA_SPAN) + 1,
+      lord: NAKSHATRA_LORDS[index % NAKSHATRA_LORDS.length],
+      moonLongitude: Math.round(longitude * 10000) / 10000,
+      start: formatTimePoint(bounds.start, timezone),
+      end: formatTimePoint(bounds.end, timezone)
+    };
+  }
+
+  /**
+   * Get the Sun+Moon yoga at a given instant
+   */
+  getYoga(date, timezone) {
+    const longitudeSum = (t) => {
+      const { sun, moon } = this.getSiderealLongitudes(t);
+      return (sun + moon) % 360;
+    };
+    const sum = longitudeSum(date);
+    const index = Math.floor(sum / NAKSHATRA_SPAN);
+    const bounds = this._findElementBounds(longitudeSum, index, NAKSHATRA_SPAN, date);
+    const name = YOGA_NAMES[index];
+
+    return {
+      number: index + 1,
+      name,
+      isAuspicious: !INAUSPICIOUS_YOGAS.includes(name),
+      longitudeSum: Math.round(sum * 10000) / 10000,
+      start: formatTimePoint(bounds.start, timezone),
+      end: formatTimePoint(bounds.end, timezone)
+    };
+  }
+
+  /**
+   * Get the karana (half tithi) at a given instant
+   */
+  getKarana(date, timezone) {
+    const elongation = (t) => this.getElongation(t);
+    const index = Math.floor(elongation(date) / KARANA_SPAN);
+    const bounds = this._findElementBounds(elongation, index, KARANA_SPAN, date);
+    const name = this._getKaranaName(index + 1);
+
+    return {
+      number: index + 1,
+      name,
+      isAuspicious: name !== 'Vishti',
+      start: formatTimePoint(bounds.start, timezone),
+      end: formatTimePoint(bounds.end, timezone)
+    };
+  }
+
+  /**
+   * Calculate nakshatra, yoga and karana active at the start of the Brahma Muhurat
+   * @param {Date} muhuratStart - Brahma Muhurat start
+   * @param {Date} muhuratEnd - Brahma Muhurat end
+   * @param {string} timezone - Timezone for formatted times
+   * @returns {Object} Panchang elements with a flag when they change inside the window
+   */
+  calculateMuhuratElements(muhuratStart, muhuratEnd, timezone) {
+    const withWindowFlag = (element) => ({
+      ...element,
+      endsDuringMuhurat: moment(element.end.time).isBefore(muhuratEnd)
+    });
+
+    return {
+      nakshatra: withWindowFlag(this.getNakshatra(muhuratStart, timezone)),
+      yoga: withWindowFlag(this.getYoga(muhuratStart, timezone)),
+      karana: withWindowFlag(this.getKarana(muhuratStart, timezone)),
+      ayanamsa: {
+        ...this.ayanamsaCalc.getSystemInfo(),
+        value: Math.round(this.ayanamsaCalc.getAyanamsa(muhuratStart) * 1000000) / 1000000
+      }
+    };
+  }
+
+  /**
+   * Find when an ever-increasing angle enters and leaves segment `index` of width `span`
+   */
+  _findElementBounds(angleFn, index, span, date) {
+    const instant = new Date(date).getTime();
+    const windowMs = ELEMENT_SEARCH_DAYS * 86400000;
+
+    return {
+      start: this._searchAngle(angleFn, index * span, instant - windowMs, instant),
+      end: this._searchAngle(angleFn, ((index + 1) * span) % 360, instant, instant + windowMs)
+    };
+  }
+
+  /**
+   * Bisection search for the instant an angle crosses the target within [fromMs, toMs]
+   */
+  _searchAngle(angleFn, target, fromMs, toMs) {
+    const offset = (ms) => {
+      const diff = (angleFn(new Date(ms)) - target) % 360;
+      if (diff < -180) return diff + 360;
+      if (diff >= 180) return diff - 360;
+      return diff;
+    };
+
+    let low = fromMs;
+    let high = toMs;
+    while (high - low > 500) {
+      const mid = (low + high) / 2;
+      if (offset(mid) < 0) {
+        low = mid;
+      } else {
+        high = mid;
+      }
+    }
+
+    return new Date(Math.round((low + high) / 2));
+  }
+
+  /**
+   * Get karana name for 1-60 numbering within the lunar month
+   */
+  _getKaranaName(number) {
+    if (number === 1) {
+      return 'Kimstughna';
+    }
+    if (number >= 58) {
+      return ['Shakuni', 'Chatushpada', 'Naga'][number - 58];
+    }
+    return MOVABLE_KARANAS[(number - 2) % MOVABLE_KARANAS.length];
+  }
+
+  /**
+   * Get tithi name for 1-30 numbering
+   */
+  _getTithiName(number) {
+    if (number === 15) {
+      return 'Purnima';
+    }
+    if (number === 30) {
+      return 'Amavasya';
+    }
+    return TITHI_NAMES[(number - 1) % 15];
+  }
+}
+
+module.exports = PanchangCalculator;
@@ -0,0 +1,42 @@
+/**
+ * Shared setup for the calculators that divide the solar day:
+ * ahoratra muhurtas, Rahu Kaal, Choghadiya and hora
+ */
+
+const moment = require('moment-timezone');
+const MuhuratCalculator = require('./muhurat');
+const { validateCoordinates, validateTimezone } = require('../utils/geo');
+
+const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+/**
+ * Get the muhurat calculator that supplies sunrise and sunset, so they follow its polar policy and horizon
+ * On a polar day or night sunrise and sunset come from the polar policy's reference, which the
+ * calculators report as solarStatus
+ * @param {Object} options - { precision, muhuratCalc }; without muhuratCalc one is created for the precision
+ * @returns {MuhuratCalculator} Muhurat calculator
+ */
+function getMuhuratCalculator(options = {}) {
+  return options.muhuratCalc || new MuhuratCalculator({ precision: options.precision || 'high' });
+}
+
+/**
+ * Validate the location, timezone and date of a calculation
+ * @param {Object} params - Calculation parameters
+ */
+function validateDayInputs(params) {
+  const { latitude, longitude, date, timezone } = params;
+
+  validateCoordinates(latitude, longitude);
+  validateTimezone(timezone);
+
+  if (!moment(date).isValid()) {
+    throw new Error('Invalid date format. Use YYYY-MM-DD or valid date string');
+  }
+}
+
+module.exports = {
+  WEEKDAYS,
+  getMuhuratCalculator,
+  validateDayInputs
+};
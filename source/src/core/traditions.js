@@ -0,0 +1,202 @@
+/**
+ * Brahma Muhurat tradition registry
+ * A tradition defines the muhurat window relative to sunrise; built-in traditions are
+ * registered on load and applications can add their own at runtime
+ */
+
+const AstronomicalCalculator = require('./astronomical');
+
+// How a tradition defines its window
+const TRADITION_TYPES = ['offset', 'night-fraction', 'depression', 'custom'];
+
+// Where a depression-angle tradition ends
+const DEPRESSION_ENDS = ['sunrise', 'civil-dawn'];
+
+const traditions = new Map();
+
+/**
+ * Check that an object is a valid tradition definition
+ * @param {Object} tradition - Definition candidate
+ * @throws {Error} If the id, type or type-specific settings are missing or invalid
+ */
+function validateTradition(tradition) {
+  if (!tradition || typeof tradition !== 'object') {
+    throw new Error('Tradition must be an object');
+  }
+  if (!tradition.id || typeof tradition.id !== 'string') {
+    throw new Error('Tradition must have a string id');
+  }
+  if (!TRADITION_TYPES.includes(tradition.type)) {
+    throw new Error(`Tradition '${tradition.id}' must have a type: ${TRADITION_TYPES.join(', ')}`);
+  }
+
+  switch (tradition.type) {
+    case 'offset':
+      if (typeof tradition.minutes !== 'number' || !(tradition.minutes > 0)) {
+        throw new Error(`Tradition '${tradition.id}' must set minutes before sunrise to a positive number`);
+      }
+      break;
+
+    case 'night-fraction':
+      if (typeof tradition.fraction !== 'number' || !(tradition.fraction > 0 && tradition.fraction <= 1)) {
+        throw new Error(`Tradition '${tradition.id}' must set fraction of the night between 0 and 1`);
+      }
+      break;
+
+    case 'depression':
+      // Angle and end may be left to the calculator's depressionAngle and depressionEnd options
+      if (tradition.angle !== undefined) {
+        AstronomicalCalculator.validateDepressionAngle(tradition.angle);
+      }
+      if (tradition.end !== undefined && !DEPRESSION_ENDS.includes(tradition.end)) {
+        throw new Error(`Unsupported depression end: ${tradition.end}. Use one of ${DEPRESSION_ENDS.join(', ')}`);
+      }
+      break;
+
+    case 'custom':
+    default:
+      if (typeof tradition.calculate !== 'function') {
+        throw new Error(`Tradition '${tradition.id}' must implement calculate()`);
+      }
+  }
+
+  if (tradition.getTraditionInfo !== undefined && typeof tradition.getTraditionInfo !== 'function') {
+    throw new Error(`Tradition '${tradition.id}' getTraditionInfo must be a function`);
+  }
+}
+
+/**
+ * Register a tradition so it can be selected by id
+ * @param {Object} tradition - { id, type, name, duration, description } plus the type's settings:
+ *   offset { minutes }, night-fraction { fraction }, depression { angle, end }, custom { calculate(context) }
+ * @returns {Object} The registered tradition
+ */
+function registerTradition(tradition) {
+  validateTradition(tradition);
+
+  if (traditions.has(tradition.id)) {
+    throw new Error(`Tradition already registered: ${tradition.id}`);
+  }
+
+  traditions.set(tradition.id, tradition);
+  return tradition;
+}
+
+/**
+ * Resolve a tradition by id; definition objects are validated and returned as-is
+ * @param {string|Object} tradition - Registered id or definition
+ * @returns {Object} Tradition definition
+ */
+function getTradition(tradition) {
+  if (typeof tradition === 'object') {
+    validateTradition(tradition);
+    return tradition;
+  }
+
+  if (!traditions.has(tradition)) {
+    throw new Error(`Unknown tradition type: ${tradition}. Use one of ${getTraditionIds().join(', ')}`);
+  }
+  return traditions.get(tradition);
+}
+
+/**
+ * Get the ids of all registered traditions
+ */
+function getTraditionIds() {
+  return [...traditions.keys()];
+}
+
+/**
+ * Name, duration and description of a tradition
+ * @param {Object} tradition - Tradition definition
+ * @param {Object} settings - Calculator settings { depressionAngle, depressionEnd }
+ */
+function describeTradition(tradition, settings = {}) {
+  if (tradition.getTraditionInfo) {
+    return tradition.getTraditionInfo(settings);
+  }
+
+  let duration = 'Variable';
+  if (tradition.type === 'offset') {
+    duration = `${tradition.minutes} minutes`;
+  } else if (tradition.type === 'night-fraction') {
+    duration = `Variable (${Math.round(tradition.fraction * 10000) / 100}% of the night before sunrise)`;
+  }
+
+  return {
+    name: tradition.name || tradition.id,
+    duration: tradition.duration || duration,
+    description: tradition.description || ''
+  };
+}
+
+[
+  {
+    id: 'standard',
+    type: 'offset',
+    minutes: 96,
+    name: 'Standard Brahma Muhurat',
+    duration: '96 minutes (1 hour 36 minutes)',
+    description: 'Traditional calculation used in most Hindu calendars'
+  },
+  {
+    id: 'extended',
+    type: 'offset',
+    minutes: 120,
+    name: 'Extended Brahma Muhurat',
+    duration: '120 minutes (2 hours)',
+    description: 'Extended period for intensive spiritual practices'
+  },
+  {
+    id: 'smarta',
+    type: 'offset',
+    minutes: 96,
+    name: 'Smārta Tradition',
+    duration: '96 minutes (exact)',
+    description: 'Orthodox calculation following classical texts'
+  },
+  {
+    id: 'dynamic',
+    type: 'custom',
+    name: 'Dynamic Calculation',
+    duration: 'Variable (1/15th of day length)',
+    description: 'Seasonal adjustment based on day length; kept for compatibility, see night',
+    calculate({ sunrise, sunset }) {
+      const dayMinutes = Math.floor((sunset.getTime() - sunrise.getTime()) / 60000);
+      const minutes = Math.round(dayMinutes / 15); // 1/15th of day length
+      return { start: new Date(sunrise.getTime() - minutes * 60000), end: sunrise };
+    }
+  },
+  {
+    id: 'night',
+    type: 'night-fraction',
+    // Brahma is the 14th of the 15 night muhurtas and lasts two muhurtas until sunrise
+    fraction: 2 / 15,
+    name: 'Night Muhurtas',
+    duration: 'Variable (2/15th of the night from the previous sunset)',
+    description: 'Classical definition: starts with Brahma, the 14th of the 15 night muhurtas, and ends at sunrise'
+  },
+  {
+    id: 'depression',
+    type: 'depression',
+    name: 'Depression Angle',
+    description: 'Defined by sky darkness: starts when the Sun reaches a set angle below the horizon',
+    getTraditionInfo({ depressionAngle, depressionEnd }) {
+      return {
+        name: this.name,
+        duration: `Variable (Sun ${depressionAngle}° below the horizon until ${depressionEnd === 'civil-dawn' ? 'civil dawn' : 'sunrise'})`,
+        description: this.description
+      };
+    }
+  }
+].forEach(registerTradition);
+
+module.exports = {
+  registerTradition,
+  getTradition,
+  getTraditionIds,
+  describeTradition,
+  validateTradition,
+  TRADITION_TYPES,
+  DEPRESSION_ENDS
+};
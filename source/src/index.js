@@ -6,7 +6,17 @@
 const MuhuratCalculator = require('./core/muhurat');
 const AstronomicalCalculator = require('./core/astronomical');
 const RefractionCalculator = require('./core/refraction');
-const { formatDateTime, parseDateInput, getSupportedTimezones } = require('./utils/time');
+const AhoratraCalculator = require('./core/ahoratra');
+const KaalCalculator = require('./core/kaal');
+const ChoghadiyaCalculator = require('./core/choghadiya');
+const HoraCalculator = require('./core/hora');
+const PanchangCalculator = require('./core/panchang');
+const AyanamsaCalculator = require('./core/ayanamsa');
+const CrossValidationCalculator = require('./core/crossvalidation');
+const HorizonCalculator = require('./core/horizon');
+const ephemeris = require('./core/ephemeris');
+const moment = require('moment-timezone');
+const { formatDateTime, formatTimePoint, parseDateInput, divideTimeSpan, getSupportedTimezones } = require('./utils/time');
 const { validateCoordinates, formatCoordinates } = require('./utils/geo');
 
 /**
@@ -16,22 +26,59 @@ const { validateCoordinates, formatCoordinates } = require('./utils/geo');
 class BrahmaMuhuratCalculator {
   constructor(options = {}) {
     this.precision = options.precision || 'high'; // 'basic', 'high', 'maximum'
-    this.traditionType = options.traditionType || 'standard';
-    this.refractionModel = options.refractionModel || 'bennett';
+    this.traditionType = options.traditionType || 'standard'; // registered id or tradition definition
+    this.depressionAngle = options.depressionAngle; // 'depression' tradition: degrees below the horizon
+    this.depressionEnd = options.depressionEnd; // 'depression' tradition: 'sunrise' or 'civil-dawn'
+    this.refractionModel = options.refractionModel || 'bennett'; // calculateRefraction() only, not sunrise
+    this.ayanamsa = options.ayanamsa || 'lahiri'; // built-in id, 'custom' or a custom definition
+    this.ayanamsaDefinition = options.ayanamsaDefinition;
+    this.polarPolicy = options.polarPolicy || 'nearest-latitude';
+    this.ephemeris = options.ephemeris; // backend id or object; defaults follow the precision level
+    this.dayAnchor = options.dayAnchor || 'local-midnight'; // where the sunrise search starts
+    this.sunriseDefinition = options.sunriseDefinition || 'upper-limb'; // point of the Sun and horizon that mark sunrise
     
     // Initialize core calculator
     this.muhuratCalc = new MuhuratCalculator({
       precision: this.precision,
       traditionType: this.traditionType,
-      refractionModel: this.refractionModel
+      depressionAngle: this.depressionAngle,
+      depressionEnd: this.depressionEnd,
+      ayanamsa: this.ayanamsa,
+      ayanamsaDefinition: this.ayanamsaDefinition,
+      polarPolicy: this.polarPolicy,
+      ephemeris: this.ephemeris,
+      dayAnchor: this.dayAnchor,
+      sunriseDefinition: this.sunriseDefinition
     });
+    this.traditionType = this.muhuratCalc.traditionType;
     
     // Initialize utility calculators
-    this.astronomicalCalc = new AstronomicalCalculator({ precision: this.precision });
+    this.astronomicalCalc = new AstronomicalCalculator({
+      precision: this.precision,
+      ephemeris: this.ephemeris,
+      dayAnchor: this.dayAnchor,
+      sunriseDefinition: this.sunriseDefinition
+    });
     this.refractionCalc = new RefractionCalculator({ 
       model: this.refractionModel,
       precision: this.precision 
     });
+    this.ahoratraCalc = new AhoratraCalculator({
+      precision: this.precision,
+      muhuratCalc: this.muhuratCalc
+    });
+    this.kaalCalc = new KaalCalculator({
+      precision: this.precision,
+      muhuratCalc: this.muhuratCalc
+    });
+    this.choghadiyaCalc = new ChoghadiyaCalculator({
+      precision: this.precision,
+      muhuratCalc: this.muhuratCalc
+    });
+    this.horaCalc = new HoraCalculator({
+      precision: this.precision,
+      muhuratCalc: this.muhuratCalc
+    });
     
     this._logInitialization();
   }
@@ -72,6 +119,66 @@ class BrahmaMuhuratCalculator {
     return this.muhuratCalc.calculateBatch(baseParams, dates);
   }
 
+  /**
+   * Calculate the 30 muhurtas of the ahoratra (15 day + 15 night)
+   * @param {Object} params - Calculation parameters
+   * @returns {Object} Day and night muhurta tables
+   */
+  calculateMuhurtas(params) {
+    try {
+      this._validateCalculationParams(params);
+      
+      return this.ahoratraCalc.calculateMuhurtas(params);
+    } catch (error) {
+      throw new Error(`Muhurta calculation failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Calculate Rahu Kaal, Yamaganda and Gulika Kaal
+   * @param {Object} params - Calculation parameters
+   * @returns {Object} Inauspicious period timings
+   */
+  calculateInauspiciousPeriods(params) {
+    try {
+      this._validateCalculationParams(params);
+      
+      return this.kaalCalc.calculate(params);
+    } catch (error) {
+      throw new Error(`Inauspicious period calculation failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Calculate day and night Choghadiya tables
+   * @param {Object} params - Calculation parameters
+   * @returns {Object} Eight day and eight night Choghadiya segments
+   */
+  calculateChoghadiya(params) {
+    try {
+      this._validateCalculationParams(params);
+      
+      return this.choghadiyaCalc.calculate(params);
+    } catch (error) {
+      throw new Error(`Choghadiya calculation failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Calculate the 24 planetary horas (12 day + 12 night)
+   * @param {Object} params - Calculation parameters
+   * @returns {Object} Day and night hora sequences with lords
+   */
+  calculateHoras(params) {
+    try {
+      this._validateCalculationParams(params);
+      
+      return this.horaCalc.calculate(params);
+    } catch (error) {
+      throw new Error(`Hora calculation failed: ${error.message}`);
+    }
+  }
+
   /**
    * Calculate sunrise only (without Brahma Muhurat)
    * @param {Object} params - Calculation parameters
@@ -82,8 +189,9 @@ class BrahmaMuhuratCalculator {
     
     this._validateCalculationParams(params);
     
+    const horizon = HorizonCalculator.fromParams(params);
     const sunrise = this.astronomicalCalc.calculateSunrise(
-      latitude, longitude, elevation, date, timezone, pressure, temperature
+      latitude, longitude, elevation, date, timezone, pressure, temperature, horizon
     );
     
     return {
@@ -95,6 +203,8 @@ class BrahmaMuhuratCalculator {
       location: { latitude, longitude, elevation, timezone },
       date: parseDateInput(date),
       precision: this.precision,
+      sunriseDefinition: this.sunriseDefinition,
+      horizon: horizon ? horizon.getInfo() : null,
       calculatedAt: new Date().toISOString()
     };
   }
@@ -105,20 +215,40 @@ class BrahmaMuhuratCalculator {
    * @returns {Object} Comprehensive astronomical data
    */
   getAstronomicalData(params) {
-    const { latitude, longitude, date, timezone } = params;
+    const {
+      latitude,
+      longitude,
+      elevation = 0,
+      date,
+      timezone,
+      pressure = 1013.25,
+      temperature = 15,
+      depressionAngles = []
+    } = params;
     
     this._validateCalculationParams(params);
     
-    const twilightTimes = this.astronomicalCalc.getTwilightTimes(latitude, longitude, date, timezone);
-    const dayLength = this.astronomicalCalc.calculateDayLength(latitude, longitude, date, timezone);
+    const twilightTimes = this.astronomicalCalc.getTwilightTimes(
+      latitude, longitude, date, timezone, depressionAngles
+    );
+    const horizon = HorizonCalculator.fromParams(params);
+    const dayLength = this.astronomicalCalc.calculateDayLength(
+      latitude, longitude, date, timezone, elevation, pressure, temperature, horizon
+    );
+    const nightSpan = this.astronomicalCalc.calculateNightSpan(
+      latitude, longitude, elevation, date, timezone, pressure, temperature, horizon
+    );
     const solarPosition = this.astronomicalCalc.calculateSolarPosition(latitude, longitude, date, timezone);
+    const moon = this._getMoonDuringMuhurat(params);
     
     return {
       location: { latitude, longitude, timezone },
       date: parseDateInput(date),
       twilight: twilightTimes,
       dayLength: dayLength,
+      nightSpan: nightSpan,
       solarPosition: solarPosition,
+      moon: moon,
       calculatedAt: new Date().toISOString()
     };
   }
@@ -185,6 +315,40 @@ class BrahmaMuhuratCalculator {
     validateCoordinates(latitude, longitude);
   }
 
+  /**
+   * Register a custom ephemeris backend, selectable afterwards with the `ephemeris` option
+   * @param {Object} backend - Object with id, getRiseSet, getTwilight and getSolarPosition
+   * @returns {Object} The registered backend
+   */
+  static registerEphemerisBackend(backend) {
+    return ephemeris.registerBackend(backend);
+  }
+
+  /**
+   * Get the registered ephemeris backends
+   * @returns {Array<Object>} Backend id, name and description
+   */
+  static getEphemerisBackends() {
+    return ephemeris.getBackendInfo();
+  }
+
+  /**
+   * Register a custom Brahma Muhurat tradition, selectable afterwards with the `traditionType` option
+   * @param {Object} tradition - { id, type, name, duration, description } plus the type's settings
+   * @returns {Object} The registered tradition
+   */
+  static registerTradition(tradition) {
+    return MuhuratCalculator.registerTradition(tradition);
+  }
+
+  /**
+   * Get the registered traditions
+   * @returns {Array<Object>} Tradition id, name, duration and description
+   */
+  static getTraditions() {
+    return MuhuratCalculator.getTraditions();
+  }
+
   /**
    * Get library version and information
    * @returns {Object} Library information
@@ -198,8 +362,14 @@ class BrahmaMuhuratCalculator {
       license: 'MIT',
       website: 'https://github.com/rakshitbharat/brahma-muhurat',
       supportedPrecisionLevels: ['basic', 'high', 'maximum'],
-      supportedTraditions: ['standard', 'extended', 'smarta', 'dynamic'],
-      supportedRefractionModels: ['bennett', 'saemundsson', 'rigorous']
+      supportedTraditions: MuhuratCalculator.getTraditions().map(tradition => tradition.id),
+      supportedRefractionModels: ['bennett', 'saemundsson', 'rigorous'],
+      supportedAyanamsas: AyanamsaCalculator.getSupportedSystems(),
+      supportedPolarPolicies: MuhuratCalculator.getPolarPolicies(),
+      supportedEphemerisBackends: ephemeris.getBackendIds(),
+      supportedDayAnchors: AstronomicalCalculator.getDayAnchors(),
+      supportedSunriseDefinitions: AstronomicalCalculator.getSunriseDefinitions(),
+      supportedObserverModes: HorizonCalculator.getObserverModes()
     };
   }
 
@@ -226,13 +396,13 @@ class BrahmaMuhuratCalculator {
       high: {
         name: 'High Precision',
         accuracy: '±30 seconds to 2 minutes',
-        description: 'SunCalc with elevation and basic atmospheric corrections',
+        description: 'SunCalc with horizon refraction adjusted for pressure and temperature',
         recommendedFor: 'Most applications, daily spiritual practice'
       },
       maximum: {
         name: 'Maximum Precision',
         accuracy: '±10-30 seconds',
-        description: 'Astronomy Engine with full atmospheric corrections',
+        description: 'Astronomy Engine with horizon refraction adjusted for pressure and temperature',
         recommendedFor: 'Scientific calculations, observatory use'
       }
     };
@@ -240,6 +410,75 @@ class BrahmaMuhuratCalculator {
     return precisionLevels[this.precision] || precisionLevels.high;
   }
 
+  /**
+   * Whether an instant falls inside a Brahma Muhurat, how long remains and when the next one starts
+   * @param {Object} location - { latitude, longitude, timezone } plus optional elevation and weather
+   * @param {Date|string} instant - Instant to evaluate (defaults to now)
+   * @returns {Object} { isBrahmaMuhurat, current, remaining, next, startsIn }
+   */
+  getCurrentState(location, instant = new Date()) {
+    try {
+      this._validateCalculationParams({ ...location, date: instant });
+      return this.muhuratCalc.getCurrentState(location, instant);
+    } catch (error) {
+      throw new Error(`Current state calculation failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Find the next Brahma Muhurat starting after an instant
+   * @param {Object} location - { latitude, longitude, timezone } plus optional elevation and weather
+   * @param {Date|string} after - Instant to search from (defaults to now)
+   * @returns {Object|null} { date, start, end, sunrise, durationMinutes, startsIn }
+   */
+  findNext(location, after = new Date()) {
+    try {
+      this._validateCalculationParams({ ...location, date: after });
+      return this.muhuratCalc.findNext(location, after);
+    } catch (error) {
+      throw new Error(`Next Brahma Muhurat search failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Compare sunrise and sunset from every precision level and ephemeris backend
+   * @param {Object} params - Calculation parameters
+   * @param {Object} options - { thresholdSeconds } deviation from consensus that flags a method (default 60)
+   * @returns {Object} Per-method times, pairwise differences and flagged methods
+   */
+  crossValidate(params, options = {}) {
+    try {
+      this._validateCalculationParams(params);
+
+      const validator = new CrossValidationCalculator({
+        traditionType: this.muhuratCalc.tradition,
+        depressionAngle: this.depressionAngle,
+        depressionEnd: this.depressionEnd,
+        polarPolicy: this.polarPolicy,
+        dayAnchor: this.dayAnchor,
+        sunriseDefinition: this.sunriseDefinition
+      });
+      return validator.calculate(params, options);
+    } catch (error) {
+      throw new Error(`Cross-validation failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get ayanamsa information
+   * @param {Date} date - Instant for the ayanamsa value (defaults to now)
+   * @returns {Object} Current ayanamsa system and its value in degrees
+   */
+  getAyanamsaInfo(date = new Date()) {
+    const ayanamsaCalc = this.muhuratCalc.panchangCalc.ayanamsaCalc;
+    
+    return {
+      ...ayanamsaCalc.getSystemInfo(),
+      date,
+      value: ayanamsaCalc.getAyanamsa(date)
+    };
+  }
+
   /**
    * Get refraction model information
    * @returns {Object} Current refraction model information
@@ -256,7 +495,6 @@ class BrahmaMuhuratCalculator {
     console.log(`🕉️  Brahma Muhurat Calculator initialized`);
     console.log(`   Precision: ${this.precision}`);
     console.log(`   Tradition: ${this.traditionType}`);
-    console.log(`   Refraction Model: ${this.refractionModel}`);
   }
 
   /**
@@ -270,11 +508,81 @@ class BrahmaMuhuratCalculator {
       currentSettings: {
         precision: this.precision,
         traditionType: this.traditionType,
-        refractionModel: this.refractionModel
+        refractionModel: this.refractionModel,
+        ayanamsa: this.muhuratCalc.panchangCalc.ayanamsaCalc.system,
+        polarPolicy: this.polarPolicy,
+        dayAnchor: this.dayAnchor,
+        sunriseDefinition: this.sunriseDefinition,
+        ephemeris: this.muhuratCalc.astronomicalCalc.backend
+          ? this.muhuratCalc.astronomicalCalc.backend.id
+          : null
       }
     };
   }
 
+  /**
+   * Moonrise, moonset and Moon altitude/azimuth sampled across the Brahma Muhurat
+   * @param {Object} params - Calculation parameters
+   * @returns {Object} Moon visibility during the muhurat
+   * @private
+   */
+  _getMoonDuringMuhurat(params) {
+    const { latitude, longitude, elevation = 0, date, timezone } = params;
+    const riseSet = this.astronomicalCalc.calculateMoonRiseSet(latitude, longitude, elevation, date, timezone);
+    
+    const result = {
+      moonrise: riseSet.moonrise ? formatTimePoint(riseSet.moonrise, timezone) : null,
+      moonset: riseSet.moonset ? formatTimePoint(riseSet.moonset, timezone) : null,
+      duringBrahmaMuhurat: null
+    };
+    
+    let window;
+    try {
+      window = this.muhuratCalc.calculateWindow(params);
+    } catch (error) {
+      // With polarPolicy 'none' a polar day or night has no Brahma Muhurat to sample
+      if (this.astronomicalCalc.getSolarDayStatus(latitude, longitude, date, timezone) !== 'normal') {
+        return result;
+      }
+      throw error;
+    }
+    
+    if (!moment(window.start).isValid() || !moment(window.end).isValid()) {
+      return result;
+    }
+    
+    // Sample roughly every 12 minutes, including both window edges
+    const sampleCount = Math.max(2, Math.round(window.durationMinutes / 12));
+    const segments = divideTimeSpan(window.start, window.end, sampleCount);
+    const instants = [segments[0].start, ...segments.map(segment => segment.end)];
+    
+    const samples = instants.map(instant => {
+      const position = this.astronomicalCalc.calculateMoonPosition(latitude, longitude, elevation, instant);
+      return {
+        ...formatTimePoint(instant, timezone),
+        altitude: position.altitude,
+        azimuth: position.azimuth,
+        isAboveHorizon: position.altitude > 0
+      };
+    });
+    
+    const lunar = this.astronomicalCalc.calculateLunarData(window.start);
+    const aboveCount = samples.filter(sample => sample.isAboveHorizon).length;
+    
+    result.duringBrahmaMuhurat = {
+      start: formatTimePoint(window.start, timezone),
+      end: formatTimePoint(window.end, timezone),
+      samples,
+      isAboveHorizon: aboveCount > 0,
+      aboveHorizonThroughout: aboveCount === samples.length,
+      illuminatedFraction: lunar.illuminatedFraction,
+      // A thin crescent gives too little light to call the sky moonlit
+      isMoonlit: aboveCount > 0 && lunar.illuminatedFraction >= 0.25
+    };
+    
+    return result;
+  }
+
   /**
    * Validate calculation parameters
    * @param {Object} params - Parameters to validate
@@ -323,5 +631,14 @@ module.exports.utils = {
 module.exports.core = {
   MuhuratCalculator,
   AstronomicalCalculator,
-  RefractionCalculator
+  RefractionCalculator,
+  AhoratraCalculator,
+  KaalCalculator,
+  ChoghadiyaCalculator,
+  HoraCalculator,
+  PanchangCalculator,
+  AyanamsaCalculator,
+  CrossValidationCalculator,
+  HorizonCalculator,
+  ephemeris
 };
@@ -59,6 +59,20 @@ function formatDateTime(date, timezone, format = 'YYYY-MM-DD HH:mm:ss z') {
   return moment(date).tz(timezone).format(format);
 }
 
+/**
+ * Format an instant as the {time, formatted, localTime} triple used in results
+ * @param {Date} date - Date to format
+ * @param {string} timezone - Target timezone
+ * @returns {Object} Time point with raw and formatted values
+ */
+function formatTimePoint(date, timezone) {
+  return {
+    time: date,
+    formatted: formatDateTime(date, timezone),
+    localTime: formatTime(date, timezone)
+  };
+}
+
 /**
  * Format time only (HH:mm:ss)
  * @param {Date} date - Date to format
@@ -148,6 +162,28 @@ function calculateDuration(startDate, endDate, unit = 'minutes') {
   return moment(endDate).diff(moment(startDate), unit);
 }
 
+/**
+ * Divide a time span into equal consecutive parts
+ * @param {Date} startDate - Start of the span
+ * @param {Date} endDate - End of the span
+ * @param {number} parts - Number of equal parts
+ * @returns {Array<Object>} Array of {start, end} date pairs
+ */
+function divideTimeSpan(startDate, endDate, parts) {
+  const startMs = new Date(startDate).getTime();
+  const partMs = (new Date(endDate).getTime() - startMs) / parts;
+  const segments = [];
+  
+  for (let i = 0; i < parts; i++) {
+    segments.push({
+      start: new Date(startMs + partMs * i),
+      end: new Date(startMs + partMs * (i + 1))
+    });
+  }
+  
+  return segments;
+}
+
 /**
  * Add time to a date
  * @param {Date} date - Base date
@@ -357,6 +393,7 @@ function parseTime(timeString) {
 module.exports = {
   parseDateInput,
   formatDateTime,
+  formatTimePoint,
   formatTime,
   formatDate,
   convertTimezone,
@@ -366,6 +403,7 @@ module.exports = {
   getCountryTimezones,
   getIndianTimezones,
   calculateDuration,
+  divideTimeSpan,
   addTime,
   subtractTime,
   getStartOfDay,
@@ -0,0 +1,91 @@
+/**
+ * Tests for the 30-muhurta division of the ahoratra
+ */
+
+const { expect } = require('chai');
+const moment = require('moment-timezone');
+const BrahmaMuhuratCalculator = require('../src/index');
+const AhoratraCalculator = require('../src/core/ahoratra');
+
+describe('Ahoratra Muhurtas', function() {
+  let calculator;
+
+  const testParams = {
+    latitude: 25.317644,
+    longitude: 83.005495,
+    elevation: 80.71,
+    date: '2024-02-18',
+    timezone: 'Asia/Kolkata'
+  };
+
+  beforeEach(function() {
+    calculator = new BrahmaMuhuratCalculator({ precision: 'high' });
+  });
+
+  it('should return 15 day and 15 night muhurtas', function() {
+    const result = calculator.calculateMuhurtas(testParams);
+
+    expect(result.muhurtas.day).to.have.length(15);
+    expect(result.muhurtas.night).to.have.length(15);
+    expect(result.muhurtas.day[0].name).to.equal('Rudra');
+    expect(result.muhurtas.night[13].name).to.equal('Brahma');
+    expect(result.muhurtas.night[13].index).to.equal(29);
+  });
+
+  it('should span sunrise to sunset and sunset to next sunrise', function() {
+    const result = calculator.calculateMuhurtas(testParams);
+    const { day, night } = result.muhurtas;
+
+    expect(day[0].start.time.getTime()).to.equal(result.ahoratra.sunrise.time.getTime());
+    expect(day[14].end.time.getTime()).to.be.closeTo(result.ahoratra.sunset.time.getTime(), 1);
+    expect(night[0].start.time.getTime()).to.equal(result.ahoratra.sunset.time.getTime());
+    expect(night[14].end.time.getTime()).to.be.closeTo(result.ahoratra.nextSunrise.time.getTime(), 1);
+
+    // Next sunrise belongs to the following local date
+    const nextSunriseDate = moment(result.ahoratra.nextSunrise.time).tz(testParams.timezone).format('YYYY-MM-DD');
+    expect(nextSunriseDate).to.equal('2024-02-19');
+  });
+
+  it('should use day and night lengths for muhurta durations', function() {
+    const result = calculator.calculateMuhurtas(testParams);
+
+    result.muhurtas.day.forEach(muhurta => {
+      expect(muhurta.durationMinutes).to.be.closeTo(result.ahoratra.dayMuhurtaMinutes, 0.02);
+    });
+    result.muhurtas.night.forEach(muhurta => {
+      expect(muhurta.durationMinutes).to.be.closeTo(result.ahoratra.nightMuhurtaMinutes, 0.02);
+    });
+
+    // February in Varanasi: nights are longer than days
+    expect(result.ahoratra.nightMuhurtaMinutes).to.be.above(result.ahoratra.dayMuhurtaMinutes);
+  });
+
+  it('should keep the polar fallback ahoratra close to a full day', function() {
+    const tromso = { latitude: 69.6496, longitude: 18.956, timezone: 'Europe/Oslo' };
+
+    ['2024-06-21', '2024-12-21'].forEach(date => {
+      const { ahoratra } = calculator.calculateMuhurtas({ ...tromso, date });
+      expect(ahoratra.dayMinutes + ahoratra.nightMinutes, date).to.be.closeTo(24 * 60, 5);
+    });
+  });
+
+  it('should use the local horizon', function() {
+    const flat = calculator.calculateMuhurtas(testParams);
+    const elevated = calculator.calculateMuhurtas({ ...testParams, observerHeight: 200 });
+
+    expect(elevated.ahoratra.sunrise.time).to.be.below(flat.ahoratra.sunrise.time);
+    expect(elevated.ahoratra.dayMinutes).to.be.above(flat.ahoratra.dayMinutes);
+    expect(elevated.solarStatus.status).to.equal('normal');
+  });
+
+  it('should expose muhurta names in order', function() {
+    const names = AhoratraCalculator.getMuhurtaNames();
+    expect(names.day).to.have.length(15);
+    expect(names.night).to.have.length(15);
+    expect(names.day[7]).to.equal('Vidhi');
+  });
+
+  it('should reject invalid parameters', function() {
+    expect(() => calculator.calculateMuhurtas({ ...testParams, latitude: 95 })).to.throw('Muhurta calculation failed');
+  });
+});
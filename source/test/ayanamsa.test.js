@@ -0,0 +1,77 @@
+/**
+ * Tests for the ayanamsa subsystem
+ */
+
+const { expect } = require('chai');
+const BrahmaMuhuratCalculator = require('../src/index');
+const AyanamsaCalculator = require('../src/core/ayanamsa');
+const AstronomicalCalculator = require('../src/core/astronomical');
+
+describe('Ayanamsa', function() {
+  const date = new Date('2024-01-01T00:00:00Z');
+
+  it('should match published values for built-in systems', function() {
+    // Reference values for 1 January 2024 (degrees)
+    const expected = {
+      lahiri: 24.192,
+      raman: 22.746,
+      kp: 24.095,
+      faganBradley: 25.076
+    };
+
+    Object.keys(expected).forEach(system => {
+      const calc = new AyanamsaCalculator({ system });
+      expect(calc.getAyanamsa(date)).to.be.closeTo(expected[system], 0.01);
+    });
+  });
+
+  it('should grow by about 50 arcseconds per year', function() {
+    const calc = new AyanamsaCalculator({ system: 'lahiri' });
+    const nextYear = new Date(date.getTime() + 365.25 * 86400000); // one Julian year
+    const growth = (calc.getAyanamsa(nextYear) - calc.getAyanamsa(date)) * 3600;
+
+    expect(growth).to.be.closeTo(50.29, 0.1);
+  });
+
+  it('should support a custom epoch and rate definition', function() {
+    const calc = new AyanamsaCalculator({
+      system: 'custom',
+      definition: { epoch: '2000-01-01', valueAtEpoch: 23.5, ratePerYear: 36, name: 'Test' }
+    });
+
+    expect(calc.getAyanamsa(new Date('2000-01-01T00:00:00Z'))).to.be.closeTo(23.5, 1e-9);
+    expect(calc.getAyanamsa(new Date('2100-01-01T00:00:00Z'))).to.be.closeTo(24.5, 0.001);
+    expect(calc.getSystemInfo().name).to.equal('Test');
+
+    // A definition object can also be passed directly as the system
+    const direct = new AyanamsaCalculator({ system: { epoch: '2000-01-01', valueAtEpoch: 23.5 } });
+    expect(direct.system).to.equal('custom');
+  });
+
+  it('should reject invalid systems and definitions', function() {
+    expect(() => new AyanamsaCalculator({ system: 'unknown' })).to.throw('Unsupported ayanamsa system');
+    expect(() => new AyanamsaCalculator({ system: 'custom' })).to.throw('requires a definition');
+    expect(() => new AyanamsaCalculator({ system: { epoch: 'not-a-date', valueAtEpoch: 23 } })).to.throw('epoch');
+    expect(() => new AyanamsaCalculator({ system: { epoch: '2000-01-01' } })).to.throw('valueAtEpoch');
+  });
+
+  it('should convert tropical longitudes from AstronomicalCalculator to sidereal', function() {
+    const astronomicalCalc = new AstronomicalCalculator();
+    const calc = new AyanamsaCalculator({ system: 'lahiri' });
+    const tropical = astronomicalCalc.calculateTropicalLongitudes(date);
+    const sidereal = calc.convertLongitudes(tropical, date);
+
+    // The Sun is in sidereal Sagittarius (240-270°) on 1 January
+    expect(sidereal.sun).to.be.within(240, 270);
+    expect(calc.toTropical(sidereal.moon, date)).to.be.closeTo(tropical.moon, 1e-9);
+  });
+
+  it('should be selectable on the main calculator', function() {
+    const calc = new BrahmaMuhuratCalculator({ ayanamsa: 'raman' });
+    const info = calc.getAyanamsaInfo(date);
+
+    expect(info.id).to.equal('raman');
+    expect(info.value).to.be.closeTo(22.746, 0.01);
+    expect(BrahmaMuhuratCalculator.getLibraryInfo().supportedAyanamsas).to.include('faganBradley');
+  });
+});
@@ -34,6 +34,15 @@ describe('Brahma Muhurat Calculator', function() {
       expect(calc.traditionType).to.equal('extended');
       expect(calc.refractionModel).to.equal('rigorous');
     });
+
+    it('should keep the refraction model out of sunrise', function() {
+      const params = { latitude: 25.317644, longitude: 83.005495, date: '2024-02-18', timezone: 'Asia/Kolkata' };
+      const bennett = calculator.calculate(params);
+      const rigorous = new BrahmaMuhuratCalculator({ refractionModel: 'rigorous' }).calculate(params);
+
+      expect(rigorous.sunrise.time.getTime()).to.equal(bennett.sunrise.time.getTime());
+      expect(rigorous.calculationDetails).to.not.have.property('refractionModel');
+    });
   });
 
   describe('Basic Calculations', function() {
@@ -89,6 +98,309 @@ describe('Brahma Muhurat Calculator', function() {
     });
   });
 
+  describe('Abhijit Muhurat', function() {
+    const testParams = {
+      latitude: 25.317644,
+      longitude: 83.005495,
+      date: '2024-02-18',
+      timezone: 'Asia/Kolkata'
+    };
+
+    it('should center Abhijit Muhurat on true solar noon', function() {
+      const result = calculator.calculate(testParams);
+      const abhijit = result.abhijitMuhurat;
+      
+      const start = abhijit.start.time.getTime();
+      const end = abhijit.end.time.getTime();
+      const noon = abhijit.solarNoon.time.getTime();
+      
+      expect(noon - start).to.be.closeTo(end - noon, 1);
+      
+      // Solar noon in Varanasi is around 12:12 IST, not clock noon
+      expect(abhijit.solarNoon.localTime).to.match(/^12:1[0-4]/);
+    });
+
+    it('should last 1/15th of the day', function() {
+      const result = calculator.calculate(testParams);
+      const { sunset } = calculator.calculateMuhurtas(testParams).ahoratra;
+      const dayMinutes = moment(sunset.time).diff(moment(result.sunrise.time), 'seconds') / 60;
+      
+      expect(result.abhijitMuhurat.duration.minutes).to.be.closeTo(dayMinutes / 15, 0.05);
+    });
+
+    it('should span 1/15th of a day whose sunset falls after local midnight', function() {
+      const reykjavik = { latitude: 64.1466, longitude: -21.9426, date: '2024-06-20', timezone: 'Atlantic/Reykjavik' };
+      const result = calculator.calculate(reykjavik);
+      const { sunset } = calculator.muhuratCalc.calculateSunTimes(reykjavik);
+      const dayMinutes = moment(sunset).diff(moment(result.sunrise.time), 'seconds') / 60;
+
+      expect(result.abhijitMuhurat.start.time).to.be.below(result.abhijitMuhurat.end.time);
+      expect(result.abhijitMuhurat.duration.minutes).to.be.closeTo(dayMinutes / 15, 0.05);
+    });
+
+    it('should apply the Wednesday exception', function() {
+      const sunday = calculator.calculate(testParams);
+      const wednesday = calculator.calculate({ ...testParams, date: '2024-02-21' });
+      
+      expect(sunday.abhijitMuhurat.isAuspicious).to.equal(true);
+      expect(wednesday.abhijitMuhurat.isAuspicious).to.equal(false);
+      expect(wednesday.abhijitMuhurat.note).to.include('Wednesday');
+    });
+  });
+
+  describe('Night Span', function() {
+    const testParams = {
+      latitude: 25.317644,
+      longitude: 83.005495,
+      date: '2024-02-18',
+      timezone: 'Asia/Kolkata'
+    };
+
+    it('should span the previous sunset to the sunrise', function() {
+      const { nightSpan } = calculator.getAstronomicalData(testParams);
+      const previousSunset = calculator.astronomicalCalc.calculateSunset(
+        testParams.latitude, testParams.longitude, 0, '2024-02-17', testParams.timezone
+      );
+      const { sunrise } = calculator.calculateSunrise(testParams);
+
+      expect(nightSpan.previousSunset.getTime()).to.equal(previousSunset.getTime());
+      expect(nightSpan.sunrise.getTime()).to.equal(sunrise.time.getTime());
+      expect(nightSpan.durationSeconds).to.equal((sunrise.time - previousSunset) / 1000);
+      expect(nightSpan.durationFormatted).to.equal('12h 39m');
+    });
+
+    it('should measure the night to the next sunrise instead of 24 hours minus the day', function() {
+      const { dayLength } = calculator.getAstronomicalData(testParams);
+      const nextNight = calculator.getAstronomicalData({ ...testParams, date: '2024-02-19' }).nightSpan;
+
+      expect(dayLength.nightLength).to.equal(Math.floor(nextNight.durationSeconds / 60));
+      expect(dayLength.dayLength + dayLength.nightLength).to.not.equal(1440);
+    });
+
+    it('should take day and night lengths from the same corrected events as the night span', function() {
+      const raised = { ...testParams, observerHeight: 100 };
+      const { dayLength } = calculator.getAstronomicalData(raised);
+      const { sunrise, sunset } = calculator.muhuratCalc.calculateSunTimes(raised);
+      const nextNight = calculator.getAstronomicalData({ ...raised, date: '2024-02-19' }).nightSpan;
+
+      expect(nextNight.previousSunset.getTime()).to.equal(sunset.getTime());
+      expect(dayLength.dayLength).to.equal(moment(sunset).diff(moment(sunrise), 'minutes'));
+      expect(dayLength.nightLength).to.equal(Math.floor(nextNight.durationSeconds / 60));
+      expect(calculator.calculate(raised).astronomicalData.dayLength)
+        .to.include({ dayMinutes: dayLength.dayLength, nightMinutes: dayLength.nightLength });
+    });
+
+    it('should end the day at a sunset after local midnight', function() {
+      // Reykjavik at the solstice: the Sun sets a few minutes into the next calendar date
+      const reykjavik = { latitude: 64.1466, longitude: -21.9426, date: '2024-06-20', timezone: 'Atlantic/Reykjavik' };
+      const { dayLength, nightSpan } = calculator.getAstronomicalData(reykjavik);
+      const nextNight = calculator.getAstronomicalData({ ...reykjavik, date: '2024-06-21' }).nightSpan;
+
+      expect(dayLength.dayLength).to.be.within(1200, 1320);
+      expect(dayLength.dayLength + dayLength.nightLength).to.be.closeTo(1440, 2);
+      expect(dayLength.nightLength).to.equal(Math.floor(nextNight.durationSeconds / 60));
+      expect(nightSpan.durationSeconds / 3600).to.be.within(2, 4);
+      expect(moment(nightSpan.previousSunset).tz('Atlantic/Reykjavik').format('YYYY-MM-DD')).to.equal('2024-06-20');
+    });
+
+    it('should leave day and night lengths unformatted when the Sun does not set', function() {
+      const dayLength = calculator.astronomicalCalc.calculateDayLength(70, 25, '2024-06-21', 'Europe/Oslo');
+
+      expect(dayLength.dayLength).to.equal(null);
+      expect(dayLength.dayLengthFormatted).to.equal(null);
+      expect(dayLength.nightLengthFormatted).to.equal(null);
+    });
+
+    it('should base the night portion on the night ending at sunrise', function() {
+      const result = calculator.calculate(testParams);
+      const { nightSpan } = result.astronomicalData;
+      const expected = 96 / (nightSpan.durationSeconds / 60) * 100;
+
+      expect(result.spiritualMetrics.nightPortion.percentage).to.be.closeTo(expected, 0.01);
+    });
+
+    it('should report no duration when the Sun does not set', function() {
+      const nightSpan = calculator.astronomicalCalc.calculateNightSpan(70, 25, 0, '2024-06-21', 'Europe/Oslo');
+      expect(nightSpan.durationSeconds).to.equal(null);
+      expect(nightSpan.durationFormatted).to.equal(null);
+    });
+  });
+
+  describe('Moon Phase', function() {
+    const testParams = {
+      latitude: 25.317644,
+      longitude: 83.005495,
+      date: '2024-02-24', // Full moon at 12:30 UTC
+      timezone: 'Asia/Kolkata'
+    };
+
+    it('should derive the phase from the true Moon position', function() {
+      const result = calculator.calculate(testParams);
+      const moonPhase = result.spiritualMetrics.moonPhase;
+      
+      expect(moonPhase.phase).to.equal('Full Moon');
+      expect(moonPhase.illumination).to.be.above(0.99);
+      expect(moonPhase.ageDays).to.be.closeTo(14, 0.5);
+      expect(moonPhase.age).to.equal(moonPhase.ageDays);
+      expect(moonPhase.distance).to.equal(moonPhase.distanceKm);
+      expect(moonPhase.evaluatedAt.getTime()).to.equal(result.brahmaMuhurat.start.time.getTime());
+    });
+
+    it('should report the next new and full moon', function() {
+      const result = calculator.calculate({ ...testParams, date: '2024-02-18' });
+      const moonPhase = result.spiritualMetrics.moonPhase;
+      
+      expect(moonPhase.phase).to.equal('Waxing Gibbous');
+      expect(moonPhase.nextFullMoon.toISOString()).to.match(/^2024-02-24T12:3/);
+      expect(moonPhase.nextNewMoon.toISOString()).to.match(/^2024-03-10T09:0/);
+    });
+
+    it('should give half illumination at quarter phases', function() {
+      // First quarter 2024-02-16 15:01 UTC
+      const lunar = calculator.astronomicalCalc.calculateLunarData(new Date('2024-02-16T15:01:00Z'));
+      
+      expect(lunar.elongation).to.be.closeTo(90, 0.1);
+      expect(lunar.illuminatedFraction).to.be.closeTo(0.5, 0.01);
+    });
+  });
+
+  describe('Moon Visibility', function() {
+    const testParams = {
+      latitude: 25.317644,
+      longitude: 83.005495,
+      date: '2024-02-24',
+      timezone: 'Asia/Kolkata'
+    };
+
+    it('should report a moonlit sky before dawn at full moon', function() {
+      const result = calculator.getAstronomicalData(testParams);
+      const during = result.moon.duringBrahmaMuhurat;
+      
+      expect(result.moon.moonset).to.not.equal(null);
+      expect(during.samples.length).to.be.at.least(2);
+      expect(during.samples[0].time.getTime()).to.equal(during.start.time.getTime());
+      expect(during.samples[during.samples.length - 1].time.getTime()).to.equal(during.end.time.getTime());
+      expect(during.isAboveHorizon).to.equal(true);
+      expect(during.isMoonlit).to.equal(true);
+      
+      // The full Moon is setting in the west as the Sun rises
+      expect(during.samples[0].azimuth).to.be.within(240, 300);
+      expect(during.samples[0].altitude).to.be.above(during.samples[during.samples.length - 1].altitude);
+    });
+
+    it('should report a dark sky near new moon', function() {
+      const result = calculator.getAstronomicalData({ ...testParams, date: '2024-02-10' });
+      const during = result.moon.duringBrahmaMuhurat;
+      
+      expect(during.isAboveHorizon).to.equal(false);
+      expect(during.aboveHorizonThroughout).to.equal(false);
+      expect(during.isMoonlit).to.equal(false);
+    });
+
+    it('should keep the twilight and moon data on a polar day without a fallback', function() {
+      const strict = new BrahmaMuhuratCalculator({ polarPolicy: 'none' });
+      const result = strict.getAstronomicalData({
+        latitude: 70.0, longitude: 25.0, date: '2024-06-21', timezone: 'Europe/Oslo'
+      });
+
+      expect(result.moon.duringBrahmaMuhurat).to.equal(null);
+      expect(result.moon).to.have.property('moonrise');
+      expect(result.twilight).to.have.property('civilDawn');
+    });
+  });
+
+  describe('Polar Day and Night', function() {
+    const arctic = {
+      latitude: 70.0,
+      longitude: 25.0,
+      timezone: 'Europe/Oslo'
+    };
+
+    it('should report a normal solar day outside polar conditions', function() {
+      const result = calculator.calculate({ ...arctic, date: '2024-03-21' });
+
+      expect(result.solarStatus.status).to.equal('normal');
+      expect(result.solarStatus.fallbackApplied).to.be.false;
+      expect(result.solarStatus.referenceLatitude).to.be.null;
+    });
+
+    it('should classify midnight sun and polar night', function() {
+      const summer = calculator.calculate({ ...arctic, date: '2024-06-21' });
+      const winter = calculator.calculate({ ...arctic, date: '2024-12-21' });
+
+      expect(summer.solarStatus.status).to.equal('midnight-sun');
+      expect(winter.solarStatus.status).to.equal('polar-night');
+    });
+
+    it('should borrow sunrise from the nearest latitude by default', function() {
+      const result = calculator.calculate({ ...arctic, date: '2024-12-21' });
+
+      expect(result.solarStatus.policy).to.equal('nearest-latitude');
+      expect(result.solarStatus.fallbackApplied).to.be.true;
+      expect(result.solarStatus.referenceLatitude).to.be.below(70).and.above(60);
+      expect(moment(result.sunrise.time).isValid()).to.be.true;
+      expect(moment(result.brahmaMuhurat.start.time).isValid()).to.be.true;
+      expect(result.brahmaMuhurat.duration.minutes).to.equal(96);
+      expect(result.abhijitMuhurat.duration.minutes).to.be.a('number').and.not.NaN;
+      expect(result.panchang.tithi).to.not.be.null;
+    });
+
+    it('should use the last seventh of the night with one-seventh-night', function() {
+      const seventh = new BrahmaMuhuratCalculator({ polarPolicy: 'one-seventh-night' });
+      const result = seventh.calculate({ ...arctic, date: '2024-12-21' });
+
+      // A near-polar winter night lasts about 22 hours
+      expect(result.solarStatus.policy).to.equal('one-seventh-night');
+      expect(result.brahmaMuhurat.duration.minutes).to.be.within(170, 210);
+      expect(moment(result.brahmaMuhurat.end.time).diff(result.brahmaMuhurat.start.time, 'minutes'))
+        .to.be.closeTo(result.brahmaMuhurat.duration.minutes, 1);
+    });
+
+    it('should borrow sunrise from the nearest day with nearest-valid-day', function() {
+      const nearestDay = new BrahmaMuhuratCalculator({ polarPolicy: 'nearest-valid-day' });
+      const result = nearestDay.calculate({ ...arctic, date: '2024-12-21' });
+
+      expect(result.solarStatus.referenceLatitude).to.equal(70);
+      expect(result.solarStatus.referenceDate).to.match(/^2024-11-\d{2}$/);
+      expect(moment(result.sunrise.time).tz('Europe/Oslo').format('YYYY-MM-DD')).to.equal('2024-12-21');
+    });
+
+    it('should throw when the policy is none', function() {
+      const strict = new BrahmaMuhuratCalculator({ polarPolicy: 'none' });
+
+      expect(() => strict.calculate({ ...arctic, date: '2024-06-21' }))
+        .to.throw(/No sunrise or sunset.*midnight-sun/);
+      expect(() => strict.calculate({ ...arctic, date: '2024-03-21' })).to.not.throw();
+    });
+
+    it('should classify the day with the selected ephemeris backend', function() {
+      // SunCalc still finds a sunrise here on the first day astronomy-engine reports polar night
+      const params = { latitude: 67.5, longitude: 20.0, date: '2024-12-16', timezone: 'Europe/Stockholm' };
+      const suncalc = new BrahmaMuhuratCalculator({ polarPolicy: 'none', ephemeris: 'suncalc' });
+      const engine = new BrahmaMuhuratCalculator({ polarPolicy: 'none', ephemeris: 'astronomy-engine' });
+
+      expect(suncalc.calculate(params).solarStatus.status).to.equal('normal');
+      expect(() => engine.calculate(params)).to.throw(/No sunrise or sunset.*polar-night/);
+    });
+
+    it('should keep a normal day whose sunset falls after local midnight', function() {
+      // Reykjavik in mid-June: the Sun sets a few minutes into the next calendar date
+      const strict = new BrahmaMuhuratCalculator({ polarPolicy: 'none' });
+      const result = strict.calculate({
+        latitude: 64.1466, longitude: -21.9426, date: '2024-06-15', timezone: 'Atlantic/Reykjavik'
+      });
+
+      expect(result.solarStatus.status).to.equal('normal');
+      expect(result.solarStatus.fallbackApplied).to.be.false;
+      expect(result.sunrise.localTime).to.match(/^02:5[89]/);
+    });
+
+    it('should reject unknown polar policies', function() {
+      expect(() => new BrahmaMuhuratCalculator({ polarPolicy: 'ignore' }))
+        .to.throw('Unsupported polar policy');
+    });
+  });
+
   describe('Tradition Types', function() {
     const testParams = {
       latitude: 25.317644,
@@ -114,6 +426,100 @@ describe('Brahma Muhurat Calculator', function() {
       const result = calc.calculate(testParams);
       expect(result.brahmaMuhurat.duration.minutes).to.equal(96);
     });
+
+    it('should keep the day-length based dynamic tradition', function() {
+      const calc = new BrahmaMuhuratCalculator({ traditionType: 'dynamic' });
+      const result = calc.calculate(testParams);
+      expect(result.brahmaMuhurat.duration.minutes).to.be.within(40, 50);
+    });
+
+    it('should start the night tradition at the 14th night muhurta', function() {
+      const calc = new BrahmaMuhuratCalculator({ traditionType: 'night' });
+      const result = calc.calculate(testParams);
+      const { nightMuhurta } = result.brahmaMuhurat;
+
+      const previousSunset = calc.astronomicalCalc.calculateSunset(
+        testParams.latitude, testParams.longitude, 0, '2024-02-17', testParams.timezone
+      );
+      const nightSeconds = moment(result.sunrise.time).diff(moment(previousSunset), 'milliseconds') / 1000;
+
+      expect(nightMuhurta.previousSunset.time.getTime()).to.equal(previousSunset.getTime());
+      expect(nightMuhurta.nightMinutes).to.be.closeTo(nightSeconds / 60, 0.01);
+      expect(nightMuhurta.minutes).to.be.closeTo(nightSeconds / 15 / 60, 0.01);
+      expect(moment(result.sunrise.time).diff(moment(result.brahmaMuhurat.start.time), 'milliseconds'))
+        .to.be.closeTo(nightSeconds / 15 * 2 * 1000, 1);
+      expect(result.brahmaMuhurat.end.time).to.deep.equal(result.sunrise.time);
+
+      // Winter nights are long, so each night muhurta exceeds 48 minutes
+      expect(result.brahmaMuhurat.duration.minutes).to.be.within(96, 106);
+    });
+
+    it('should measure night and day from sunsets after local midnight near the polar circle', function() {
+      // Reykjavik at the solstice: both the previous and the day's sunset fall just after midnight
+      const reykjavik = { latitude: 64.1466, longitude: -21.9426, date: '2024-06-20', timezone: 'Atlantic/Reykjavik' };
+      const night = new BrahmaMuhuratCalculator({ traditionType: 'night' }).calculate(reykjavik);
+      const dynamic = new BrahmaMuhuratCalculator({ traditionType: 'dynamic' }).calculate(reykjavik);
+      const { nightSpan, dayLength } = night.astronomicalData;
+
+      expect(night.brahmaMuhurat.nightMuhurta.nightMinutes).to.be.closeTo(nightSpan.durationSeconds / 60, 0.01);
+      expect(night.brahmaMuhurat.nightMuhurta.nightMinutes).to.be.within(120, 240);
+      expect(moment(night.brahmaMuhurat.start.time).tz(reykjavik.timezone).format('YYYY-MM-DD')).to.equal('2024-06-20');
+      expect(dynamic.brahmaMuhurat.duration.minutes).to.equal(Math.round(dayLength.dayMinutes / 15));
+    });
+
+    it('should start the depression tradition when the Sun reaches the angle', function() {
+      const calc = new BrahmaMuhuratCalculator({ traditionType: 'depression', depressionAngle: 16 });
+      const result = calc.calculate(testParams);
+      const { dawn } = calc.astronomicalCalc.getDepressionTimes(
+        testParams.latitude, testParams.longitude, testParams.date, testParams.timezone, 16
+      );
+
+      expect(result.brahmaMuhurat.start.time.getTime()).to.be.closeTo(dawn.getTime(), 2000);
+      expect(result.brahmaMuhurat.end.time).to.deep.equal(result.sunrise.time);
+      expect(result.brahmaMuhurat.duration.minutes).to.be.within(60, 75);
+      expect(result.brahmaMuhurat.depression).to.include({ angle: 16, end: 'sunrise', reached: true });
+    });
+
+    it('should end the depression tradition at civil dawn when selected', function() {
+      const sunriseEnd = new BrahmaMuhuratCalculator({ traditionType: 'depression' }).calculate(testParams);
+      const civilEnd = new BrahmaMuhuratCalculator({
+        traditionType: 'depression',
+        depressionEnd: 'civil-dawn'
+      }).calculate(testParams);
+
+      expect(civilEnd.brahmaMuhurat.start.localTime).to.equal(sunriseEnd.brahmaMuhurat.start.localTime);
+      expect(civilEnd.brahmaMuhurat.end.time).to.be.below(civilEnd.sunrise.time);
+      expect(civilEnd.brahmaMuhurat.depression.end).to.equal('civil-dawn');
+      expect(civilEnd.brahmaMuhurat.duration.minutes).to.be.below(sunriseEnd.brahmaMuhurat.duration.minutes);
+    });
+
+    it('should start at the darkest point when the Sun never reaches the angle', function() {
+      const calc = new BrahmaMuhuratCalculator({ traditionType: 'depression', depressionAngle: 18 });
+      const result = calc.calculate({
+        latitude: 55.6761,
+        longitude: 12.5683,
+        date: '2024-06-21',
+        timezone: 'Europe/Copenhagen'
+      });
+
+      expect(result.brahmaMuhurat.depression.reached).to.be.false;
+      expect(result.brahmaMuhurat.start.localTime).to.match(/^01:1\d/);
+      expect(result.brahmaMuhurat.start.time).to.be.below(result.sunrise.time);
+    });
+
+    it('should describe and validate the depression tradition', function() {
+      const calc = new BrahmaMuhuratCalculator({ traditionType: 'depression', depressionAngle: 19 });
+      expect(calc.getTraditionInfo().duration).to.include('19°');
+      expect(BrahmaMuhuratCalculator.getLibraryInfo().supportedTraditions).to.include('depression');
+
+      expect(() => new BrahmaMuhuratCalculator({ traditionType: 'depression', depressionAngle: 95 }))
+        .to.throw('Invalid depression angle');
+      expect(() => new BrahmaMuhuratCalculator({ traditionType: 'depression', depressionEnd: 'noon' }))
+        .to.throw('Unsupported depression end');
+      expect(() => new BrahmaMuhuratCalculator({
+        traditionType: 'depression', depressionAngle: 4, depressionEnd: 'civil-dawn'
+      })).to.throw('must exceed 6°');
+    });
   });
 
   describe('Precision Levels', function() {
@@ -273,6 +679,133 @@ describe('Brahma Muhurat Calculator', function() {
     });
   });
 
+  describe('Local Day Anchoring', function() {
+    // Far from their zone meridian (UTC+14 at 157°W) or on an odd offset (UTC+5:45)
+    const zones = [
+      { latitude: 1.87, longitude: -157.4, timezone: 'Pacific/Kiritimati' },
+      { latitude: 27.7172, longitude: 85.324, timezone: 'Asia/Kathmandu' }
+    ];
+    const dates = ['2024-02-18', '2024-06-21'];
+
+    it('should return the sunrise and midday of the requested local date', function() {
+      ['basic', 'high', 'maximum'].forEach(precision => {
+        BrahmaMuhuratCalculator.getLibraryInfo().supportedDayAnchors.forEach(dayAnchor => {
+          const calc = new BrahmaMuhuratCalculator({ precision, dayAnchor });
+
+          zones.forEach(zone => {
+            dates.forEach(date => {
+              const result = calc.calculate({ ...zone, date });
+              const label = `${precision}/${dayAnchor} ${zone.timezone} ${date}`;
+
+              expect(moment(result.sunrise.time).tz(zone.timezone).format('YYYY-MM-DD')).to.equal(date, label);
+              expect(moment(result.abhijitMuhurat.end.time).tz(zone.timezone).format('YYYY-MM-DD')).to.equal(date, label);
+              expect(result.brahmaMuhurat.end.time.getTime()).to.equal(result.sunrise.time.getTime());
+            });
+          });
+        });
+      });
+    });
+
+    it('should pick between two sunsets on one local date by anchor', function() {
+      // Near the Arctic Circle in July sunset moves back across local midnight
+      const bodo = { latitude: 67.28, longitude: 14.4, timezone: 'Europe/Oslo' };
+      const sunsetFrom = (dayAnchor) => moment(new BrahmaMuhuratCalculator({ precision: 'maximum', dayAnchor })
+        .astronomicalCalc.calculateSunset(bodo.latitude, bodo.longitude, 0, '2024-07-18', bodo.timezone))
+        .tz(bodo.timezone);
+
+      expect(sunsetFrom('local-midnight').format('YYYY-MM-DD HH')).to.equal('2024-07-18 00');
+      expect(sunsetFrom('previous-noon').format('YYYY-MM-DD HH')).to.equal('2024-07-18 23');
+      expect(sunsetFrom('utc').format('YYYY-MM-DD HH')).to.equal('2024-07-18 23');
+    });
+
+    it('should find the same sunrise from every anchor when the date has one', function() {
+      const params = { ...zones[0], date: '2024-02-18' };
+      const reference = calculator.calculate(params).sunrise.time;
+
+      ['previous-noon', 'utc'].forEach(dayAnchor => {
+        const result = new BrahmaMuhuratCalculator({ dayAnchor }).calculate(params);
+        expect(Math.abs(result.sunrise.time - reference)).to.be.below(2000);
+        expect(result.calculationDetails.dayAnchor).to.equal(dayAnchor);
+      });
+    });
+
+    it('should reject an unknown anchor', function() {
+      expect(() => new BrahmaMuhuratCalculator({ dayAnchor: 'solar-noon' }))
+        .to.throw('Unsupported day anchor');
+    });
+  });
+
+  describe('Sunrise Definitions', function() {
+    const testParams = {
+      latitude: 25.317644,
+      longitude: 83.005495,
+      date: '2024-02-18',
+      timezone: 'Asia/Kolkata'
+    };
+    const definitions = ['upper-limb', 'centre-apparent-horizon', 'centre-true-horizon'];
+
+    const calculateWith = (sunriseDefinition, options = {}) =>
+      new BrahmaMuhuratCalculator({ ...options, sunriseDefinition }).calculate(testParams);
+
+    it('should rise later and set earlier from the upper limb to the true-horizon centre', function() {
+      const sunrises = definitions.map(definition => calculateWith(definition).sunrise.time.getTime());
+      const sunsets = definitions.map(definition => new BrahmaMuhuratCalculator({ sunriseDefinition: definition })
+        .astronomicalCalc.calculateSunset(testParams.latitude, testParams.longitude, 0, testParams.date, testParams.timezone)
+        .getTime());
+
+      expect(sunrises[0]).to.be.below(sunrises[1]);
+      expect(sunrises[1]).to.be.below(sunrises[2]);
+      expect(sunsets[0]).to.be.above(sunsets[1]);
+      expect(sunsets[1]).to.be.above(sunsets[2]);
+    });
+
+    it('should separate the upper limb and centre by the semi-diameter for the date', function() {
+      const astronomical = calculator.astronomicalCalc;
+      const upperLimb = calculateWith('upper-limb').sunrise.time;
+      const centre = calculateWith('centre-apparent-horizon').sunrise.time;
+      const semiDiameter = astronomical.calculateSolarSemiDiameter(upperLimb);
+      const rate = astronomical.calculateAltitudeRate(testParams.latitude, -11.9);
+
+      expect((centre - upperLimb) / 1000).to.be.closeTo(semiDiameter / rate, 2);
+      expect(astronomical.calculateSolarSemiDiameter(new Date('2024-01-03'))).to.be.closeTo(0.2711, 0.0005);
+      expect(astronomical.calculateSolarSemiDiameter(new Date('2024-07-05'))).to.be.closeTo(0.2621, 0.0005);
+    });
+
+    it('should carry the definition to the Brahma Muhurat and calculation details', function() {
+      const astronomical = calculator.astronomicalCalc;
+      const upperLimbAltitude = astronomical.getSunriseAltitude(new Date('2024-02-18T01:00:00Z'));
+      const expectedShift = -upperLimbAltitude / astronomical.calculateAltitudeRate(testParams.latitude, -11.9, -0.4);
+
+      ['basic', 'maximum'].forEach(precision => {
+        const upperLimb = calculateWith('upper-limb', { precision });
+        const trueHorizon = calculateWith('centre-true-horizon', { precision });
+        const shift = trueHorizon.sunrise.time - upperLimb.sunrise.time;
+
+        expect(shift / 1000).to.be.closeTo(expectedShift, 5);
+        expect(trueHorizon.brahmaMuhurat.start.time - upperLimb.brahmaMuhurat.start.time).to.equal(shift);
+        expect(trueHorizon.calculationDetails.sunriseDefinition).to.equal('centre-true-horizon');
+      });
+
+      const report = new BrahmaMuhuratCalculator({ sunriseDefinition: 'centre-apparent-horizon' }).crossValidate(testParams);
+      expect(report.calculationDetails.sunriseDefinition).to.equal('centre-apparent-horizon');
+    });
+
+    it('should agree with an independent backend at maximum precision', function() {
+      definitions.forEach(definition => {
+        const maximum = calculateWith(definition, { precision: 'maximum' }).sunrise.time;
+        const astronomia = calculateWith(definition, { ephemeris: 'astronomia' }).sunrise.time;
+
+        expect(Math.abs(maximum - astronomia) / 1000).to.be.below(5);
+      });
+    });
+
+    it('should reject an unknown definition', function() {
+      expect(BrahmaMuhuratCalculator.getLibraryInfo().supportedSunriseDefinitions).to.deep.equal(definitions);
+      expect(() => new BrahmaMuhuratCalculator({ sunriseDefinition: 'lower-limb' }))
+        .to.throw('Unsupported sunrise definition');
+    });
+  });
+
   describe('Seasonal Variations', function() {
     const location = {
       latitude: 25.317644,
@@ -0,0 +1,71 @@
+/**
+ * Tests for day and night Choghadiya tables
+ */
+
+const { expect } = require('chai');
+const BrahmaMuhuratCalculator = require('../src/index');
+const ChoghadiyaCalculator = require('../src/core/choghadiya');
+
+describe('Choghadiya', function() {
+  let calculator;
+
+  const testParams = {
+    latitude: 25.317644,
+    longitude: 83.005495,
+    date: '2024-02-18', // Sunday
+    timezone: 'Asia/Kolkata'
+  };
+
+  beforeEach(function() {
+    calculator = new BrahmaMuhuratCalculator({ precision: 'high' });
+  });
+
+  it('should return eight day and eight night segments', function() {
+    const result = calculator.calculateChoghadiya(testParams);
+
+    expect(result.day).to.have.length(8);
+    expect(result.night).to.have.length(8);
+    expect(result.day[0].start.time.getTime()).to.equal(result.sunrise.time.getTime());
+    expect(result.night[0].start.time.getTime()).to.equal(result.sunset.time.getTime());
+    expect(result.night[7].end.time.getTime()).to.be.closeTo(result.nextSunrise.time.getTime(), 1);
+  });
+
+  it('should follow the Sunday sequence', function() {
+    const result = calculator.calculateChoghadiya(testParams);
+
+    expect(result.day.map(s => s.name)).to.deep.equal(
+      ['Udveg', 'Char', 'Labh', 'Amrit', 'Kaal', 'Shubh', 'Rog', 'Udveg']
+    );
+    expect(result.night.map(s => s.name)).to.deep.equal(
+      ['Shubh', 'Amrit', 'Char', 'Rog', 'Kaal', 'Labh', 'Udveg', 'Shubh']
+    );
+  });
+
+  it('should start each weekday with the traditional Choghadiya', function() {
+    const dates = ['2024-02-19', '2024-02-20', '2024-02-21', '2024-02-22', '2024-02-23', '2024-02-24'];
+    const expectedDay = ['Amrit', 'Rog', 'Labh', 'Shubh', 'Char', 'Kaal'];
+    const expectedNight = ['Char', 'Kaal', 'Udveg', 'Amrit', 'Rog', 'Labh'];
+
+    dates.forEach((date, i) => {
+      const result = calculator.calculateChoghadiya({ ...testParams, date });
+      expect(result.day[0].name).to.equal(expectedDay[i]);
+      expect(result.night[0].name).to.equal(expectedNight[i]);
+    });
+  });
+
+  it('should report a normal solar status away from the poles', function() {
+    expect(calculator.calculateChoghadiya(testParams).solarStatus.status).to.equal('normal');
+  });
+
+  it('should classify segments as good or bad', function() {
+    const result = calculator.calculateChoghadiya(testParams);
+
+    result.day.concat(result.night).forEach(segment => {
+      const bad = ['Udveg', 'Kaal', 'Rog'].includes(segment.name);
+      expect(segment.quality).to.equal(bad ? 'bad' : 'good');
+      expect(segment.isAuspicious).to.equal(!bad);
+    });
+
+    expect(ChoghadiyaCalculator.getChoghadiyaInfo()).to.have.length(7);
+  });
+});
@@ -0,0 +1,120 @@
+/**
+ * Tests for the multi-backend cross-validation report
+ */
+
+const { expect } = require('chai');
+const BrahmaMuhuratCalculator = require('../src/index');
+const CrossValidationCalculator = require('../src/core/crossvalidation');
+
+describe('Cross-validation Report', function() {
+  const varanasi = {
+    latitude: 25.3176,
+    longitude: 82.9739,
+    date: '2024-02-18',
+    timezone: 'Asia/Kolkata'
+  };
+
+  let report;
+
+  before(function() {
+    report = new BrahmaMuhuratCalculator().crossValidate(varanasi);
+  });
+
+  it('should run every precision level and registered backend', function() {
+    const ids = report.methods.map(method => method.id);
+
+    expect(ids).to.include.members([
+      'suncalc-basic', 'suncalc-high', 'astronomy-engine-maximum',
+      'astronomy-engine', 'astronomia', 'noaa'
+    ]);
+    expect(ids).to.not.include('suncalc');
+    report.methods.forEach(method => {
+      expect(method.sunrise.localTime).to.match(/^06:[23]\d:\d{2}$/);
+      expect(method.sunset.localTime).to.match(/^17:5\d:\d{2}$/);
+      expect(method.brahmaMuhuratStart.localTime).to.match(/^04:5\d:\d{2}$/);
+    });
+  });
+
+  it('should report signed pairwise differences for every pair', function() {
+    const n = report.methods.length;
+    expect(report.differences).to.have.length(n * (n - 1) / 2);
+
+    const pair = report.differences.find(d => d.methods[0] === 'suncalc-basic' && d.methods[1] === 'noaa');
+    const basic = report.methods.find(m => m.id === 'suncalc-basic');
+    const noaa = report.methods.find(m => m.id === 'noaa');
+    expect(pair.sunriseSeconds).to.be.closeTo((basic.sunrise.time - noaa.sunrise.time) / 1000, 0.1);
+  });
+
+  it('should agree closely among the precise backends', function() {
+    ['astronomy-engine', 'astronomia', 'noaa'].forEach(id => {
+      const method = report.methods.find(m => m.id === id);
+      expect(method.deviationSeconds).to.be.below(10);
+      expect(method.isFlagged).to.be.false;
+    });
+  });
+
+  it('should flag methods deviating beyond the threshold', function() {
+    const strict = new BrahmaMuhuratCalculator().crossValidate(varanasi, { thresholdSeconds: 1 });
+    const lenient = new BrahmaMuhuratCalculator().crossValidate(varanasi, { thresholdSeconds: 600 });
+
+    expect(strict.thresholdSeconds).to.equal(1);
+    expect(strict.flagged.length).to.be.above(lenient.flagged.length);
+    expect(lenient.flagged).to.be.empty;
+    expect(lenient.isConsistent).to.be.true;
+    expect(report.maxSunriseSpreadSeconds).to.be.a('number').and.above(0);
+  });
+
+  it('should keep a zero threshold', function() {
+    const exact = new BrahmaMuhuratCalculator().crossValidate(varanasi, { thresholdSeconds: 0 });
+    const validator = new CrossValidationCalculator({ thresholdSeconds: 0 });
+
+    expect(exact.thresholdSeconds).to.equal(0);
+    expect(exact.flagged.length).to.be.at.least(report.flagged.length);
+    expect(validator.thresholdSeconds).to.equal(0);
+    expect(validator.calculate(varanasi, { thresholdSeconds: 30 }).thresholdSeconds).to.equal(30);
+  });
+
+  it('should not flag any built-in method at mid-latitude sites', function() {
+    const sites = [
+      { ...varanasi, date: '2024-03-15' },
+      { latitude: 51.5074, longitude: -0.1278, date: '2024-11-15', timezone: 'Europe/London' },
+      { latitude: 40.7128, longitude: -74.006, date: '2024-06-21', timezone: 'America/New_York' }
+    ];
+
+    sites.forEach(site => {
+      const result = new BrahmaMuhuratCalculator().crossValidate(site);
+      expect(result.flagged, site.timezone).to.be.empty;
+      expect(result.methods.find(m => m.id === 'suncalc-high').toleranceSeconds).to.be.above(60);
+    });
+  });
+
+  it('should take sunset from the same horizon as sunrise', function() {
+    const elevated = new BrahmaMuhuratCalculator().crossValidate({ ...varanasi, observerHeight: 200 });
+
+    ['sunrise', 'sunset'].forEach(event => {
+      const flat = report.methods.find(m => m.id === 'noaa')[event].time;
+      const high = elevated.methods.find(m => m.id === 'noaa')[event].time;
+      expect(Math.abs(high - flat) / 1000).to.be.within(60, 180);
+    });
+  });
+
+  it('should report a failing backend instead of throwing', function() {
+    const validator = new CrossValidationCalculator();
+    validator.getMethods = () => [
+      { id: 'noaa', precision: 'basic', ephemeris: 'noaa' },
+      { id: 'missing', precision: 'basic', ephemeris: 'does-not-exist' }
+    ];
+
+    const result = validator.calculate(varanasi);
+    const missing = result.methods.find(m => m.id === 'missing');
+
+    expect(missing.error).to.include('Unknown ephemeris backend');
+    expect(result.flagged).to.include('missing');
+    expect(result.differences).to.have.length(0);
+  });
+
+  it('should validate parameters', function() {
+    expect(() => new BrahmaMuhuratCalculator().crossValidate({ ...varanasi, latitude: 95 }))
+      .to.throw('Cross-validation failed');
+  });
+});
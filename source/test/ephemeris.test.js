@@ -0,0 +1,181 @@
+/**
+ * Tests for the pluggable ephemeris backends
+ */
+
+const { expect } = require('chai');
+const moment = require('moment-timezone');
+const BrahmaMuhuratCalculator = require('../src/index');
+const AstronomicalCalculator = require('../src/core/astronomical');
+const ephemeris = require('../src/core/ephemeris');
+
+describe('Ephemeris Backends', function() {
+  const varanasi = { latitude: 25.3176, longitude: 82.9739, elevation: 0 };
+  const start = moment.tz('2024-02-18', 'Asia/Kolkata').toDate();
+
+  it('should register the built-in backends', function() {
+    expect(ephemeris.getBackendIds()).to.include.members(['suncalc', 'astronomy-engine', 'astronomia', 'noaa']);
+  });
+
+  ['suncalc', 'astronomy-engine', 'astronomia', 'noaa'].forEach(id => {
+    it(`should implement the backend interface with ${id}`, function() {
+      const backend = ephemeris.getBackend(id);
+
+      const { sunrise, sunset } = backend.getRiseSet(varanasi, start);
+      expect(moment(sunrise).tz('Asia/Kolkata').format('HH:mm')).to.match(/^06:3\d$/);
+      expect(moment(sunset).tz('Asia/Kolkata').format('HH:mm')).to.match(/^17:5\d$/);
+
+      const twilight = backend.getTwilight(varanasi, start);
+      expect(twilight.astronomicalDawn).to.be.below(twilight.nauticalDawn);
+      expect(twilight.nauticalDawn).to.be.below(twilight.civilDawn);
+      expect(twilight.civilDawn).to.be.below(twilight.sunrise);
+      expect(twilight.civilDusk).to.be.above(twilight.sunset);
+
+      const noon = moment.tz('2024-02-18 12:30', 'Asia/Kolkata').toDate();
+      const position = backend.getSolarPosition(varanasi, noon);
+      expect(position.azimuth).to.be.within(170, 190);
+      expect(position.elevation).to.be.within(50, 56);
+    });
+  });
+
+  it('should agree between the two VSOP87-based backends within a few seconds', function() {
+    const engine = ephemeris.getBackend('astronomy-engine').getRiseSet(varanasi, start);
+    const astronomia = ephemeris.getBackend('astronomia').getRiseSet(varanasi, start);
+
+    expect(Math.abs(engine.sunrise - astronomia.sunrise)).to.be.below(5000);
+    expect(Math.abs(engine.sunset - astronomia.sunset)).to.be.below(5000);
+  });
+
+  it('should match Astronomy Engine with the self-contained NOAA algorithm', function() {
+    const locations = [
+      { latitude: 25.3176, longitude: 82.9739, timezone: 'Asia/Kolkata' },
+      { latitude: 40.7128, longitude: -74.006, timezone: 'America/New_York' },
+      { latitude: 19.8968, longitude: -155.5828, timezone: 'Pacific/Honolulu' },
+      { latitude: -33.8688, longitude: 151.2093, timezone: 'Australia/Sydney' }
+    ];
+    const noaa = ephemeris.getBackend('noaa');
+    const engine = ephemeris.getBackend('astronomy-engine');
+
+    locations.forEach(location => {
+      const observer = { ...location, elevation: 0 };
+      const day = moment.tz('2024-06-01', location.timezone).toDate();
+      const expected = engine.getTwilight(observer, day);
+      const actual = noaa.getTwilight(observer, day);
+
+      ['civilDawn', 'sunrise', 'sunset', 'civilDusk'].forEach(key => {
+        expect(Math.abs(actual[key] - expected[key]), `${location.timezone} ${key}`).to.be.below(10000);
+      });
+    });
+  });
+
+  it('should return invalid dates when the Sun does not rise', function() {
+    const arctic = { latitude: 70, longitude: 25, elevation: 0 };
+    const midsummer = moment.tz('2024-06-21', 'Europe/Oslo').toDate();
+
+    ['astronomia', 'noaa'].forEach(id => {
+      const { sunrise } = ephemeris.getBackend(id).getRiseSet(arctic, midsummer);
+      expect(moment(sunrise).isValid()).to.be.false;
+    });
+  });
+
+  it('should search custom solar altitudes with every built-in backend', function() {
+    const engine = ephemeris.getBackend('astronomy-engine').getTwilight(varanasi, start);
+
+    ['suncalc', 'astronomy-engine', 'astronomia', 'noaa'].forEach(id => {
+      const backend = ephemeris.getBackend(id);
+      const dawn = backend.searchAltitude(varanasi, start, -18, 'rise');
+      const dusk = backend.searchAltitude(varanasi, start, -18, 'set');
+
+      expect(Math.abs(dawn - engine.astronomicalDawn), id).to.be.below(60000);
+      expect(Math.abs(dusk - engine.astronomicalDusk), id).to.be.below(60000);
+    });
+  });
+
+  it('should compute twilight for custom depression angles with the selected backend', function() {
+    const calc = new AstronomicalCalculator({ ephemeris: 'noaa' });
+    const twilight = calc.getTwilightTimes(25.3176, 82.9739, '2024-02-18', 'Asia/Kolkata', [16, 19]);
+    const [sixteen, nineteen] = twilight.custom;
+
+    expect(sixteen.depression).to.equal(16);
+    expect(nineteen.dawn).to.be.below(twilight.astronomicalDawn);
+    expect(sixteen.dawn).to.be.above(twilight.astronomicalDawn);
+    expect(sixteen.dawn).to.be.below(twilight.nauticalDawn);
+    expect(nineteen.dusk).to.be.above(sixteen.dusk);
+    expect(calc.getTwilightTimes(25.3176, 82.9739, '2024-02-18', 'Asia/Kolkata')).to.not.have.property('custom');
+  });
+
+  it('should report missing depression times and reject invalid angles', function() {
+    const calc = new AstronomicalCalculator({ ephemeris: 'astronomia' });
+    const { dawn, dusk } = calc.getDepressionTimes(70, 25, '2024-06-21', 'Europe/Oslo', 6);
+
+    expect(moment(dawn).isValid()).to.be.false;
+    expect(moment(dusk).isValid()).to.be.false;
+    expect(() => calc.getDepressionTimes(25, 82, '2024-02-18', 'Asia/Kolkata', -16))
+      .to.throw('Invalid depression angle');
+  });
+
+  it('should use the high-precision backend for twilight at maximum precision', function() {
+    expect(new AstronomicalCalculator({ precision: 'maximum' }).getBackend('twilight').id).to.equal('astronomy-engine');
+
+    const calculator = new BrahmaMuhuratCalculator({ precision: 'maximum' });
+    const data = calculator.getAstronomicalData({
+      ...varanasi, date: '2024-02-18', timezone: 'Asia/Kolkata', depressionAngles: [16]
+    });
+    expect(moment(data.twilight.custom[0].dawn).tz('Asia/Kolkata').format('HH:mm')).to.equal('05:23');
+  });
+
+  it('should select the backend independently of the precision level', function() {
+    const calc = new AstronomicalCalculator({ precision: 'basic', ephemeris: 'astronomia' });
+
+    expect(calc.getBackend('riseSet').id).to.equal('astronomia');
+    expect(calc.getBackend('twilight').id).to.equal('astronomia');
+    expect(calc.getBackend('solarPosition').id).to.equal('astronomia');
+  });
+
+  it('should keep the precision-based defaults without an explicit backend', function() {
+    expect(new AstronomicalCalculator({ precision: 'high' }).getBackend('riseSet').id).to.equal('suncalc');
+    expect(new AstronomicalCalculator({ precision: 'maximum' }).getBackend('riseSet').id).to.equal('astronomy-engine');
+  });
+
+  it('should run Astronomy Engine itself at maximum precision rather than a fallback', function() {
+    // The engine's default export is the API; a named { Astronomy } import left maximum precision on SunCalc
+    const Astronomy = require('astronomy-engine');
+    const calc = new AstronomicalCalculator({ precision: 'maximum' });
+    const observer = new Astronomy.Observer(varanasi.latitude, varanasi.longitude, 0);
+
+    const expectedSunrise = Astronomy.SearchRiseSet(Astronomy.Body.Sun, observer, +1, Astronomy.MakeTime(start), 1);
+    const expectedTransit = Astronomy.SearchHourAngle(Astronomy.Body.Sun, observer, 0, Astronomy.MakeTime(start));
+
+    expect(calc.calculateSunrise(varanasi.latitude, varanasi.longitude, 0, '2024-02-18', 'Asia/Kolkata').getTime())
+      .to.equal(expectedSunrise.date.getTime());
+    expect(calc.calculateSolarTransit(varanasi.latitude, varanasi.longitude, 0, '2024-02-18', 'Asia/Kolkata').getTime())
+      .to.equal(expectedTransit.time.date.getTime());
+  });
+
+  it('should reject unknown and incomplete backends', function() {
+    expect(() => new AstronomicalCalculator({ ephemeris: 'jpl' })).to.throw('Unknown ephemeris backend');
+    expect(() => ephemeris.registerBackend({ id: 'partial', getRiseSet() {} }))
+      .to.throw('must implement getTwilight()');
+    expect(() => ephemeris.registerBackend(ephemeris.getBackend('suncalc'))).to.throw('already registered');
+  });
+
+  it('should use a registered custom backend for calculations', function() {
+    const fixedSunrise = moment.tz('2024-02-18 06:00', 'Asia/Kolkata').toDate();
+    const suncalc = ephemeris.getBackend('suncalc');
+
+    BrahmaMuhuratCalculator.registerEphemerisBackend({
+      id: 'test-fixed',
+      name: 'Fixed sunrise',
+      getRiseSet: (observer, day) => ({ ...suncalc.getRiseSet(observer, day), sunrise: fixedSunrise }),
+      getTwilight: (observer, day) => suncalc.getTwilight(observer, day),
+      getSolarPosition: (observer, instant) => suncalc.getSolarPosition(observer, instant)
+    });
+
+    const calculator = new BrahmaMuhuratCalculator({ precision: 'basic', ephemeris: 'test-fixed' });
+    const result = calculator.calculate({ ...varanasi, date: '2024-02-18', timezone: 'Asia/Kolkata' });
+
+    expect(result.sunrise.localTime).to.equal('06:00:00');
+    expect(result.brahmaMuhurat.start.localTime).to.equal('04:24:00');
+    expect(result.calculationDetails.ephemeris.riseSet).to.equal('test-fixed');
+    expect(BrahmaMuhuratCalculator.getEphemerisBackends().map(b => b.id)).to.include('test-fixed');
+  });
+});
@@ -0,0 +1,66 @@
+/**
+ * Tests for planetary hora sequences
+ */
+
+const { expect } = require('chai');
+const BrahmaMuhuratCalculator = require('../src/index');
+
+describe('Planetary Horas', function() {
+  let calculator;
+
+  const testParams = {
+    latitude: 25.317644,
+    longitude: 83.005495,
+    date: '2024-02-18', // Sunday
+    timezone: 'Asia/Kolkata'
+  };
+
+  beforeEach(function() {
+    calculator = new BrahmaMuhuratCalculator({ precision: 'high' });
+  });
+
+  it('should return 12 day and 12 night horas', function() {
+    const result = calculator.calculateHoras(testParams);
+
+    expect(result.day).to.have.length(12);
+    expect(result.night).to.have.length(12);
+    expect(result.night[11].index).to.equal(24);
+    expect(result.day[0].start.time.getTime()).to.equal(result.sunrise.time.getTime());
+    expect(result.night[0].start.time.getTime()).to.equal(result.sunset.time.getTime());
+  });
+
+  it('should start with the weekday lord and follow the Chaldean order', function() {
+    const result = calculator.calculateHoras(testParams);
+
+    expect(result.weekdayLord).to.equal('Sun');
+    expect(result.day.slice(0, 8).map(h => h.lord)).to.deep.equal(
+      ['Sun', 'Venus', 'Mercury', 'Moon', 'Saturn', 'Jupiter', 'Mars', 'Sun']
+    );
+    expect(result.night[0].lord).to.equal('Jupiter');
+  });
+
+  it('should lead into the next weekday lord', function() {
+    const sunday = calculator.calculateHoras(testParams);
+    const monday = calculator.calculateHoras({ ...testParams, date: '2024-02-19' });
+    const lords = ['Saturn', 'Jupiter', 'Mars', 'Sun', 'Venus', 'Mercury', 'Moon'];
+
+    // The 25th hora after Sunday's sunrise is Monday's first hora
+    const lastLord = sunday.night[11].lord;
+    expect(monday.day[0].lord).to.equal(lords[(lords.indexOf(lastLord) + 1) % 7]);
+    expect(monday.day[0].lord).to.equal('Moon');
+  });
+
+  it('should end the last fallback hora at the next sunrise under the midnight sun', function() {
+    const tromso = { latitude: 69.6496, longitude: 18.956, date: '2024-06-21', timezone: 'Europe/Oslo' };
+    const result = calculator.calculateHoras(tromso);
+
+    expect(result.night[11].end.time.getTime()).to.equal(result.nextSunrise.time.getTime());
+  });
+
+  it('should use unequal day and night hora lengths', function() {
+    const result = calculator.calculateHoras(testParams);
+
+    expect(result.day[0].durationMinutes).to.be.below(60);
+    expect(result.night[0].durationMinutes).to.be.above(60);
+  });
+});
@@ -0,0 +1,246 @@
+/**
+ * Tests for horizon profiles and terrain obstruction
+ */
+
+const { expect } = require('chai');
+const moment = require('moment-timezone');
+const BrahmaMuhuratCalculator = require('../src/index');
+const HorizonCalculator = require('../src/core/horizon');
+
+describe('Horizon Profile', function() {
+  // Kedarnath, in a Himalayan valley
+  const kedarnath = {
+    latitude: 30.7352,
+    longitude: 79.0669,
+    elevation: 3583,
+    date: '2024-02-18',
+    timezone: 'Asia/Kolkata'
+  };
+
+  let calculator;
+  let flat;
+
+  before(function() {
+    calculator = new BrahmaMuhuratCalculator();
+    flat = calculator.calculate(kedarnath);
+  });
+
+  const minutesLater = (a, b) => moment(a).diff(moment(b), 'seconds') / 60;
+
+  it('should interpolate the skyline between azimuths, across north', function() {
+    const horizon = new HorizonCalculator({
+      profile: [{ azimuth: 90, altitude: 10 }, { azimuth: 180, altitude: 4 }, { azimuth: 350, altitude: 2 }]
+    });
+
+    expect(horizon.getAltitude(90)).to.equal(10);
+    expect(horizon.getAltitude(135)).to.be.closeTo(7, 1e-9);
+    expect(horizon.getAltitude(10)).to.be.closeTo(2 + 8 * 20 / 100, 1e-9);
+    expect(horizon.getAltitude(-10)).to.equal(2);
+    expect(new HorizonCalculator({ profile: [0, 12, 0, 0] }).getAltitude(135)).to.equal(12);
+    expect(new HorizonCalculator().getAltitude(90)).to.equal(0);
+  });
+
+  it('should leave sunrise unchanged for a flat profile', function() {
+    const result = calculator.calculate({ ...kedarnath, horizonProfile: [0, 0, 0, 0] });
+    expect(result.sunrise.time.getTime()).to.equal(flat.sunrise.time.getTime());
+  });
+
+  it('should delay sunrise until the Sun clears a mountain skyline', function() {
+    const result = calculator.calculate({ ...kedarnath, horizonProfile: new Array(36).fill(8) });
+
+    expect(minutesLater(result.sunrise.time, flat.sunrise.time)).to.be.within(30, 60);
+    expect(result.brahmaMuhurat.end.time.getTime()).to.equal(result.sunrise.time.getTime());
+    expect(result.brahmaMuhurat.duration.minutes).to.equal(96);
+    expect(result.calculationDetails.horizon).to.deep.equal({
+      mode: 'land',
+      profilePoints: 36,
+      minAltitude: 8,
+      maxAltitude: 8,
+      observerHeight: 0,
+      horizonDistance: null,
+      terrestrialRefraction: 0.16,
+      dip: 0
+    });
+    expect(flat.calculationDetails.horizon).to.equal(null);
+  });
+
+  it('should only use the skyline towards the Sun', function() {
+    const eastern = [{ azimuth: 110, altitude: 15 }, { azimuth: 200, altitude: 0 }, { azimuth: 340, altitude: 0 }];
+    const params = { ...kedarnath, horizonProfile: eastern };
+    const astronomical = calculator.astronomicalCalc;
+    const horizon = HorizonCalculator.fromParams(params);
+    const sunset = (h) => astronomical.calculateSunset(
+      kedarnath.latitude, kedarnath.longitude, kedarnath.elevation, kedarnath.date, kedarnath.timezone, 1013.25, 15, h
+    );
+
+    expect(minutesLater(calculator.calculateSunrise(params).sunrise.time, flat.sunrise.time)).to.be.above(60);
+    expect(sunset(horizon).getTime()).to.equal(sunset(null).getTime());
+  });
+
+  it('should move sunrise earlier for a skyline below the horizon', function() {
+    const result = calculator.calculateSunrise({ ...kedarnath, horizonProfile: [-2] });
+    expect(minutesLater(result.sunrise.time, flat.sunrise.time)).to.be.below(-5);
+  });
+
+  it('should handle a skyline below the horizon near the polar circle', function() {
+    // Reykjavik in late May: the Sun is lowest about 4° below the horizon, after a short night
+    const reykjavik = { latitude: 64.1466, longitude: -21.9426, date: '2024-05-25', timezone: 'Atlantic/Reykjavik' };
+    const level = calculator.calculateSunrise(reykjavik).sunrise.time;
+    const low = calculator.calculateSunrise({ ...reykjavik, horizonProfile: [-3] }).sunrise.time;
+    const belowLowest = calculator.calculateSunrise({ ...reykjavik, horizonProfile: [-5] }).sunrise.time;
+
+    expect(minutesLater(low, level)).to.be.within(-90, -30);
+    // The Sun never drops below a -5° skyline, so the flat-horizon sunrise is kept
+    expect(belowLowest.getTime()).to.equal(level.getTime());
+  });
+
+  it('should report no sunrise when the Sun never clears the skyline', function() {
+    const result = calculator.calculateSunrise({ ...kedarnath, horizonProfile: [60] });
+    expect(moment(result.sunrise.time).isValid()).to.be.false;
+  });
+
+  it('should reject invalid profiles', function() {
+    expect(() => calculator.calculate({ ...kedarnath, horizonProfile: [] })).to.throw('Invalid horizon profile');
+    expect(() => new HorizonCalculator({ profile: [5, 95] })).to.throw('Invalid horizon profile altitude');
+    expect(() => new HorizonCalculator({ profile: [{ azimuth: 400, altitude: 2 }] }))
+      .to.throw('Invalid horizon profile azimuth');
+  });
+});
+
+describe('Observer Height', function() {
+  const varanasi = {
+    latitude: 25.317644,
+    longitude: 83.005495,
+    date: '2024-02-18',
+    timezone: 'Asia/Kolkata'
+  };
+
+  let calculator;
+  let groundSunrise;
+
+  before(function() {
+    calculator = new BrahmaMuhuratCalculator();
+    groundSunrise = calculator.calculateSunrise(varanasi).sunrise.time;
+  });
+
+  it('should dip the horizon by 1.76 arcminutes per square root of a metre', function() {
+    const horizon = new HorizonCalculator({ observerHeight: 100 });
+
+    expect(horizon.getDip()).to.be.closeTo(17.6 / 60, 0.1 / 60);
+    expect(new HorizonCalculator({ observerHeight: 100, profile: [3] }).getDip()).to.equal(0);
+  });
+
+  it('should convert the dip to time with the Sun\'s rate of climb', function() {
+    const astronomical = calculator.astronomicalCalc;
+
+    // 15° per hour of hour angle, slowed by latitude and declination
+    expect(astronomical.calculateAltitudeRate(0, 0, 0) * 3600).to.be.closeTo(15, 1e-9);
+    expect(astronomical.calculateAltitudeRate(60, 0, 0) * 3600).to.be.closeTo(7.5, 1e-9);
+    expect(astronomical.calculateAltitudeRate(70, 23.44)).to.equal(0);
+
+    const sunrise = calculator.calculateSunrise({ ...varanasi, observerHeight: 100 }).sunrise.time;
+    const rate = astronomical.calculateAltitudeRate(varanasi.latitude, -12);
+    expect((groundSunrise - sunrise) / 1000).to.be.closeTo((17.6 / 60) / rate, 3);
+  });
+
+  it('should make sunrise earlier and sunset later from a height', function() {
+    const astronomical = calculator.astronomicalCalc;
+    const horizon = HorizonCalculator.fromParams({ observerHeight: 50 });
+    const sunset = (h) => astronomical.calculateSunset(
+      varanasi.latitude, varanasi.longitude, 0, varanasi.date, varanasi.timezone, 1013.25, 15, h
+    );
+    const result = calculator.calculate({ ...varanasi, observerHeight: 50 });
+
+    expect(result.sunrise.time).to.be.below(groundSunrise);
+    expect(result.brahmaMuhurat.end.time.getTime()).to.equal(result.sunrise.time.getTime());
+    expect(result.calculationDetails.horizon.observerHeight).to.equal(50);
+    expect(sunset(horizon)).to.be.above(sunset(null));
+  });
+
+  it('should agree with a skyline lowered by the dip', function() {
+    const dip = new HorizonCalculator({ observerHeight: 200 }).getDip();
+    const fromDip = calculator.calculateSunrise({ ...varanasi, observerHeight: 200 }).sunrise.time;
+    const fromSkyline = calculator.calculateSunrise({ ...varanasi, horizonProfile: [-dip] }).sunrise.time;
+
+    expect(Math.abs(fromDip - fromSkyline) / 1000).to.be.below(5);
+  });
+
+  it('should keep ground elevation separate from the observer height', function() {
+    const sunrise = calculator.calculateSunrise({ ...varanasi, elevation: 3000 }).sunrise.time;
+    expect(sunrise.getTime()).to.equal(groundSunrise.getTime());
+  });
+
+  it('should reject an invalid observer height', function() {
+    expect(() => new HorizonCalculator({ observerHeight: -10 })).to.throw('Invalid observer height');
+    expect(() => calculator.calculate({ ...varanasi, observerHeight: '12' })).to.throw('Invalid observer height');
+  });
+});
+
+describe('Sea Observer Mode', function() {
+  // River cruise on the Ganga at Varanasi
+  const ganga = {
+    latitude: 25.3109,
+    longitude: 83.0107,
+    date: '2024-02-18',
+    timezone: 'Asia/Kolkata'
+  };
+
+  let calculator;
+  let shoreSunrise;
+
+  before(function() {
+    calculator = new BrahmaMuhuratCalculator();
+    shoreSunrise = calculator.calculateSunrise(ganga).sunrise.time;
+  });
+
+  it('should dip the sea horizon with terrestrial refraction', function() {
+    const sea = new HorizonCalculator({ mode: 'sea', eyeHeight: 10 });
+    const geometric = new HorizonCalculator({ mode: 'sea', eyeHeight: 10, terrestrialRefraction: 0 });
+
+    expect(sea.getDip() * 60).to.be.closeTo(1.76 * Math.sqrt(10), 0.05);
+    expect(geometric.getDip() * 60).to.be.closeTo(1.93 * Math.sqrt(10), 0.05);
+    expect(sea.getSeaHorizonDistance()).to.be.closeTo(12.3, 0.1);
+  });
+
+  it('should dip further to a shore nearer than the sea horizon', function() {
+    const open = new HorizonCalculator({ mode: 'sea', eyeHeight: 10 });
+    const shore = new HorizonCalculator({ mode: 'sea', eyeHeight: 10, horizonDistance: 2 });
+    const distant = new HorizonCalculator({ mode: 'sea', eyeHeight: 10, horizonDistance: 50 });
+
+    // 10 m over 2 km is 17.2', plus the Earth's curvature over that distance
+    expect(shore.getDip() * 60).to.be.closeTo(17.64, 0.01);
+    expect(shore.getDip()).to.be.above(open.getDip());
+    expect(distant.getDip()).to.equal(open.getDip());
+    expect(shore.getInfo().horizonDistance).to.equal(2);
+  });
+
+  it('should shift sunrise and the Brahma Muhurat earlier on deck', function() {
+    const params = { ...ganga, observerMode: 'sea', eyeHeight: 12 };
+    const result = calculator.calculate(params);
+    const shifted = (shoreSunrise - result.sunrise.time) / 1000;
+
+    expect(shifted).to.be.within(25, 40);
+    expect(result.brahmaMuhurat.end.time.getTime()).to.equal(result.sunrise.time.getTime());
+    expect(result.calculationDetails.horizon).to.include({ mode: 'sea', observerHeight: 12 });
+
+    const nearBank = calculator.calculateSunrise({ ...params, horizonDistance: 0.5 }).sunrise.time;
+    expect(nearBank).to.be.below(result.sunrise.time);
+  });
+
+  it('should validate the sea observer settings', function() {
+    expect(() => calculator.calculate({ ...ganga, observerMode: 'sea' })).to.throw('requires eyeHeight');
+    expect(() => calculator.calculate({ ...ganga, observerMode: 'sea', eyeHeight: 5, horizonDistance: -1 }))
+      .to.throw('Invalid horizon distance');
+    expect(() => new HorizonCalculator({ mode: 'sea', eyeHeight: 5, profile: [2] }))
+      .to.throw('cannot be combined');
+    expect(() => calculator.calculate({ ...ganga, observerMode: 'air' })).to.throw('Unsupported observer mode');
+    expect(BrahmaMuhuratCalculator.getLibraryInfo().supportedObserverModes).to.deep.equal(['land', 'sea']);
+  });
+
+  it('should reject sea settings without the sea observer mode', function() {
+    expect(() => calculator.calculate({ ...ganga, eyeHeight: 12 }))
+      .to.throw("eyeHeight applies only with observerMode 'sea'");
+    expect(() => calculator.calculate({ ...ganga, observerMode: 'land', horizonDistance: 2 }))
+      .to.throw("horizonDistance applies only with observerMode 'sea'");
+  });
+});
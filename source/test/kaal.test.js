@@ -0,0 +1,69 @@
+/**
+ * Tests for Rahu Kaal, Yamaganda and Gulika Kaal
+ */
+
+const { expect } = require('chai');
+const BrahmaMuhuratCalculator = require('../src/index');
+
+describe('Inauspicious Periods', function() {
+  let calculator;
+
+  const testParams = {
+    latitude: 25.317644,
+    longitude: 83.005495,
+    date: '2024-02-18', // Sunday
+    timezone: 'Asia/Kolkata'
+  };
+
+  beforeEach(function() {
+    calculator = new BrahmaMuhuratCalculator({ precision: 'high' });
+  });
+
+  it('should place Sunday periods in the correct parts of the day', function() {
+    const result = calculator.calculateInauspiciousPeriods(testParams);
+
+    expect(result.weekday).to.equal('Sunday');
+    expect(result.rahuKaal.part).to.equal(8);
+    expect(result.yamaganda.part).to.equal(5);
+    expect(result.gulikaKaal.part).to.equal(7);
+
+    // Last eighth of the day ends at sunset
+    expect(result.rahuKaal.end.time.getTime()).to.be.closeTo(result.sunset.time.getTime(), 1);
+  });
+
+  it('should follow the weekday ordering for the whole week', function() {
+    const expectedRahuParts = [2, 7, 5, 6, 4, 3, 8]; // Monday through Sunday
+    const dates = ['2024-02-19', '2024-02-20', '2024-02-21', '2024-02-22', '2024-02-23', '2024-02-24', '2024-02-25'];
+
+    dates.forEach((date, i) => {
+      const result = calculator.calculateInauspiciousPeriods({ ...testParams, date });
+      expect(result.rahuKaal.part).to.equal(expectedRahuParts[i]);
+    });
+  });
+
+  it('should make each period one eighth of the day', function() {
+    const result = calculator.calculateInauspiciousPeriods(testParams);
+    const dayMinutes = (result.sunset.time - result.sunrise.time) / 60000;
+
+    ['rahuKaal', 'yamaganda', 'gulikaKaal'].forEach(key => {
+      expect(result[key].durationMinutes).to.be.closeTo(dayMinutes / 8, 0.02);
+    });
+  });
+
+  it('should report a normal solar status away from the poles', function() {
+    expect(calculator.calculateInauspiciousPeriods(testParams).solarStatus.status).to.equal('normal');
+  });
+
+  it('should use the local horizon', function() {
+    const flat = calculator.calculateInauspiciousPeriods(testParams);
+    const elevated = calculator.calculateInauspiciousPeriods({ ...testParams, observerHeight: 200 });
+
+    expect(elevated.sunrise.time).to.be.below(flat.sunrise.time);
+    expect(elevated.sunset.time).to.be.above(flat.sunset.time);
+  });
+
+  it('should reject invalid parameters', function() {
+    expect(() => calculator.calculateInauspiciousPeriods({ ...testParams, timezone: 'Invalid/Zone' }))
+      .to.throw('Inauspicious period calculation failed');
+  });
+});
@@ -0,0 +1,127 @@
+/**
+ * Tests for panchang elements computed from Sun-Moon positions
+ */
+
+const { expect } = require('chai');
+const moment = require('moment-timezone');
+const BrahmaMuhuratCalculator = require('../src/index');
+const PanchangCalculator = require('../src/core/panchang');
+
+describe('Panchang', function() {
+  const testParams = {
+    latitude: 25.317644,
+    longitude: 83.005495,
+    date: '2024-02-18',
+    timezone: 'Asia/Kolkata'
+  };
+
+  describe('Tithi', function() {
+    let panchang;
+
+    beforeEach(function() {
+      panchang = new PanchangCalculator();
+    });
+
+    it('should identify Purnima and Amavasya near known full and new moons', function() {
+      // Full moon 2024-02-24 12:30 UTC, new moon 2024-02-09 22:59 UTC
+      const fullMoon = panchang.getTithi(new Date('2024-02-24T10:00:00Z'), 'UTC');
+      const newMoon = panchang.getTithi(new Date('2024-02-09T20:00:00Z'), 'UTC');
+
+      expect(fullMoon.name).to.equal('Purnima');
+      expect(fullMoon.paksha).to.equal('Shukla');
+      expect(newMoon.name).to.equal('Amavasya');
+      expect(newMoon.paksha).to.equal('Krishna');
+
+      // Purnima ends exactly at the full moon
+      const fullMoonInstant = moment.utc('2024-02-24T12:30:00Z');
+      expect(Math.abs(moment(fullMoon.end.time).diff(fullMoonInstant, 'minutes'))).to.be.below(2);
+    });
+
+    it('should bound the tithi around the requested instant', function() {
+      const instant = new Date('2024-02-18T03:00:00Z');
+      const tithi = panchang.getTithi(instant, 'Asia/Kolkata');
+
+      expect(tithi.start.time.getTime()).to.be.below(instant.getTime());
+      expect(tithi.end.time.getTime()).to.be.above(instant.getTime());
+      expect(tithi.elongation).to.be.within((tithi.number - 1) * 12, tithi.number * 12);
+    });
+  });
+
+  describe('Nakshatra, Yoga and Karana', function() {
+    let panchang;
+    const instant = new Date('2024-02-17T23:30:00Z'); // 05:00 IST on 18 February
+
+    beforeEach(function() {
+      panchang = new PanchangCalculator({ ayanamsa: 'lahiri' });
+    });
+
+    it('should find the Moon nakshatra and pada', function() {
+      const nakshatra = panchang.getNakshatra(instant, 'Asia/Kolkata');
+
+      expect(nakshatra.name).to.equal('Rohini');
+      expect(nakshatra.pada).to.be.within(1, 4);
+      expect(nakshatra.lord).to.equal('Moon');
+      expect(nakshatra.start.time.getTime()).to.be.below(instant.getTime());
+      expect(nakshatra.end.time.getTime()).to.be.above(instant.getTime());
+    });
+
+    it('should place nakshatra bounds on 13°20\' boundaries', function() {
+      const nakshatra = panchang.getNakshatra(instant, 'Asia/Kolkata');
+      const startMoon = panchang.getSiderealLongitudes(nakshatra.start.time).moon;
+      const endMoon = panchang.getSiderealLongitudes(nakshatra.end.time).moon;
+
+      expect(startMoon).to.be.closeTo(3 * 360 / 27, 0.01);
+      expect(endMoon).to.be.closeTo(4 * 360 / 27, 0.01);
+    });
+
+    it('should find the yoga and karana', function() {
+      const yoga = panchang.getYoga(instant, 'Asia/Kolkata');
+      const karana = panchang.getKarana(instant, 'Asia/Kolkata');
+
+      expect(yoga.name).to.equal('Vaidhriti');
+      expect(yoga.isAuspicious).to.equal(false);
+      expect(karana.name).to.equal('Kaulava');
+
+      // The second karana of a tithi ends with the tithi
+      const tithi = panchang.getTithi(instant, 'Asia/Kolkata');
+      expect(Math.abs(karana.end.time - tithi.end.time)).to.be.below(2000);
+    });
+
+    it('should reject unknown ayanamsa systems', function() {
+      expect(() => new PanchangCalculator({ ayanamsa: 'unknown' })).to.throw('Unsupported ayanamsa system');
+    });
+  });
+
+  describe('Calculation Result', function() {
+    let calculator;
+
+    beforeEach(function() {
+      calculator = new BrahmaMuhuratCalculator({ precision: 'high' });
+    });
+
+    it('should include tithi at sunrise and at Brahma Muhurat', function() {
+      const result = calculator.calculate(testParams);
+      const { tithi } = result.panchang;
+
+      // Varanasi, 18 February 2024: Shukla Navami at sunrise, ending around 08:16 IST
+      expect(tithi.atSunrise.name).to.equal('Navami');
+      expect(tithi.atSunrise.paksha).to.equal('Shukla');
+      expect(tithi.atBrahmaMuhurat.number).to.equal(9);
+      expect(tithi.endings).to.have.length(1);
+      expect(tithi.endings[0].end.localTime).to.match(/^08:1[0-9]/);
+    });
+
+    it('should include nakshatra, yoga and karana at Brahma Muhurat', function() {
+      const result = calculator.calculate(testParams);
+      const { panchang } = result;
+
+      ['nakshatra', 'yoga', 'karana'].forEach(key => {
+        expect(panchang[key]).to.have.property('name');
+        expect(panchang[key].start.time.getTime()).to.be.at.most(result.brahmaMuhurat.start.time.getTime());
+        expect(panchang[key]).to.have.property('endsDuringMuhurat');
+      });
+      expect(panchang.ayanamsa.id).to.equal('lahiri');
+      expect(result.calculationDetails.ayanamsa).to.equal('lahiri');
+    });
+  });
+});
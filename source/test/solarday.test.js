@@ -0,0 +1,57 @@
+/**
+ * Tests for the setup shared by the solar day calculators
+ */
+
+const { expect } = require('chai');
+const BrahmaMuhuratCalculator = require('../src/index');
+const { WEEKDAYS, validateDayInputs } = require('../src/core/solarday');
+
+describe('Solar Day Calculators', function() {
+  const tromso = { latitude: 69.6496, longitude: 18.956, timezone: 'Europe/Oslo' };
+
+  const calculators = {
+    calculateMuhurtas: result => [...result.muhurtas.day, ...result.muhurtas.night],
+    calculateInauspiciousPeriods: result => [result.rahuKaal, result.yamaganda, result.gulikaKaal],
+    calculateChoghadiya: result => [...result.day, ...result.night],
+    calculateHoras: result => [...result.day, ...result.night]
+  };
+
+  let calculator;
+  let strict;
+
+  before(function() {
+    calculator = new BrahmaMuhuratCalculator({ precision: 'high' });
+    strict = new BrahmaMuhuratCalculator({ polarPolicy: 'none' });
+  });
+
+  Object.entries(calculators).forEach(([method, segments]) => {
+    it(`should apply the polar policy with ${method}`, function() {
+      [['2024-06-21', 'midnight-sun'], ['2024-12-21', 'polar-night']].forEach(([date, status]) => {
+        const result = calculator[method]({ ...tromso, date });
+
+        expect(result.solarStatus).to.include({ status, fallbackApplied: true });
+        segments(result).forEach(segment => {
+          expect(segment.start.time.getTime(), date).to.not.be.NaN;
+          expect(segment.durationMinutes, date).to.be.above(0);
+        });
+      });
+
+      expect(() => strict[method]({ ...tromso, date: '2024-06-21' })).to.throw('No sunrise or sunset');
+    });
+  });
+
+  it('should list the weekdays from Sunday', function() {
+    expect(WEEKDAYS).to.have.length(7);
+    expect(WEEKDAYS[0]).to.equal('Sunday');
+    expect(WEEKDAYS[6]).to.equal('Saturday');
+  });
+
+  it('should validate the location, timezone and date', function() {
+    const params = { ...tromso, date: '2024-06-21' };
+
+    expect(() => validateDayInputs(params)).to.not.throw();
+    expect(() => validateDayInputs({ ...params, latitude: 91 })).to.throw('Latitude must be between -90 and 90');
+    expect(() => validateDayInputs({ ...params, timezone: 'Mars/Olympus' })).to.throw('Invalid timezone');
+    expect(() => validateDayInputs({ ...params, date: 'not-a-date' })).to.throw('Invalid date format');
+  });
+});
@@ -0,0 +1,84 @@
+/**
+ * Tests for the current state and next occurrence APIs
+ */
+
+const { expect } = require('chai');
+const BrahmaMuhuratCalculator = require('../src/index');
+
+describe('Current State and Next Occurrence', function() {
+  const varanasi = { latitude: 25.3176, longitude: 82.9739, timezone: 'Asia/Kolkata' };
+  let calculator;
+  let today;
+  let tomorrow;
+
+  before(function() {
+    calculator = new BrahmaMuhuratCalculator();
+    today = calculator.calculate({ ...varanasi, date: '2024-02-18' }).brahmaMuhurat;
+    tomorrow = calculator.calculate({ ...varanasi, date: '2024-02-19' }).brahmaMuhurat;
+  });
+
+  it('should point to the same calendar day after midnight', function() {
+    const state = calculator.getCurrentState(varanasi, '2024-02-18T00:30:00+05:30');
+
+    expect(state.isBrahmaMuhurat).to.be.false;
+    expect(state.current).to.equal(null);
+    expect(state.remaining).to.equal(null);
+    expect(state.next.date).to.equal('2024-02-18');
+    expect(state.next.start.time.getTime()).to.equal(today.start.time.getTime());
+    expect(state.startsIn.seconds).to.equal(
+      Math.round((today.start.time - new Date('2024-02-18T00:30:00+05:30')) / 1000)
+    );
+  });
+
+  it('should report the remaining time inside the window', function() {
+    const instant = new Date(today.start.time.getTime() + 30 * 60000);
+    const state = calculator.getCurrentState(varanasi, instant);
+
+    expect(state.isBrahmaMuhurat).to.be.true;
+    expect(state.current.date).to.equal('2024-02-18');
+    expect(state.remaining.seconds).to.equal(66 * 60);
+    expect(state.remaining.formatted).to.equal('1h 6m');
+    expect(state.next.date).to.equal('2024-02-19');
+  });
+
+  it('should point to the next day after sunrise and in the evening', function() {
+    ['2024-02-18T07:00:00+05:30', '2024-02-18T23:59:00+05:30'].forEach(instant => {
+      const state = calculator.getCurrentState(varanasi, instant);
+
+      expect(state.isBrahmaMuhurat).to.be.false;
+      expect(state.next.date).to.equal('2024-02-19');
+      expect(state.next.start.time.getTime()).to.equal(tomorrow.start.time.getTime());
+    });
+  });
+
+  it('should treat the end of the window as outside it', function() {
+    const state = calculator.getCurrentState(varanasi, today.end.time);
+    expect(state.isBrahmaMuhurat).to.be.false;
+  });
+
+  it('should find the next window after an instant', function() {
+    const duringWindow = new Date(today.start.time.getTime() + 60000);
+    const next = calculator.findNext(varanasi, duringWindow);
+
+    expect(next.date).to.equal('2024-02-19');
+    expect(next.durationMinutes).to.equal(96);
+    expect(next.startsIn.seconds).to.equal(Math.round((tomorrow.start.time - duringWindow) / 1000));
+    expect(calculator.findNext(varanasi, '2024-02-18T01:00:00+05:30').date).to.equal('2024-02-18');
+  });
+
+  it('should skip polar days without a window', function() {
+    const strict = new BrahmaMuhuratCalculator({ polarPolicy: 'none' });
+    const tromso = { latitude: 69.6496, longitude: 18.956, timezone: 'Europe/Oslo' };
+    const next = strict.findNext(tromso, '2024-06-15T12:00:00Z');
+
+    expect(next.date).to.match(/^2024-07-2\d$/);
+    expect(next.startsIn.seconds).to.be.above(30 * 86400);
+  });
+
+  it('should validate the location', function() {
+    expect(() => calculator.getCurrentState({ ...varanasi, latitude: 91 }, new Date()))
+      .to.throw('Current state calculation failed');
+    expect(() => calculator.findNext({ ...varanasi, timezone: 'Mars/Olympus' }))
+      .to.throw('Next Brahma Muhurat search failed');
+  });
+});
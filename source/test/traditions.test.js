@@ -0,0 +1,132 @@
+/**
+ * Tests for the tradition registry
+ */
+
+const { expect } = require('chai');
+const moment = require('moment-timezone');
+const BrahmaMuhuratCalculator = require('../src/index');
+const traditions = require('../src/core/traditions');
+
+describe('Tradition Registry', function() {
+  const varanasi = {
+    latitude: 25.3176,
+    longitude: 82.9739,
+    date: '2024-02-18',
+    timezone: 'Asia/Kolkata'
+  };
+
+  const minutesBeforeSunrise = (result) =>
+    moment(result.sunrise.time).diff(moment(result.brahmaMuhurat.start.time), 'seconds') / 60;
+
+  it('should register the built-in traditions', function() {
+    const ids = BrahmaMuhuratCalculator.getTraditions().map(tradition => tradition.id);
+
+    expect(ids).to.include.members(['standard', 'extended', 'smarta', 'dynamic', 'night', 'depression']);
+    expect(BrahmaMuhuratCalculator.getLibraryInfo().supportedTraditions).to.deep.equal(ids);
+  });
+
+  it('should calculate a registered offset tradition', function() {
+    BrahmaMuhuratCalculator.registerTradition({
+      id: 'test-three-ghatikas',
+      type: 'offset',
+      minutes: 72,
+      name: 'Three ghatikas'
+    });
+
+    const calculator = new BrahmaMuhuratCalculator({ traditionType: 'test-three-ghatikas' });
+    const result = calculator.calculate(varanasi);
+
+    expect(minutesBeforeSunrise(result)).to.equal(72);
+    expect(result.brahmaMuhurat.traditionType).to.equal('test-three-ghatikas');
+    expect(calculator.getTraditionInfo()).to.deep.equal({
+      name: 'Three ghatikas',
+      duration: '72 minutes',
+      description: ''
+    });
+  });
+
+  it('should calculate a night-fraction tradition', function() {
+    const calculator = new BrahmaMuhuratCalculator({
+      traditionType: { id: 'test-fourteenth', type: 'night-fraction', fraction: 1 / 15 }
+    });
+    const result = calculator.calculate(varanasi);
+    const { nightMuhurta } = result.brahmaMuhurat;
+
+    expect(minutesBeforeSunrise(result)).to.be.closeTo(nightMuhurta.minutes, 0.02);
+    expect(nightMuhurta.nightMinutes / 15).to.be.closeTo(nightMuhurta.minutes, 0.01);
+  });
+
+  it('should let a depression tradition carry its own angle and end', function() {
+    const calculator = new BrahmaMuhuratCalculator({
+      traditionType: { id: 'test-dark-sky', type: 'depression', angle: 16, end: 'civil-dawn' },
+      depressionAngle: 20
+    });
+    const result = calculator.calculate(varanasi);
+
+    expect(result.brahmaMuhurat.depression).to.include({ angle: 16, end: 'civil-dawn', reached: true });
+    expect(result.brahmaMuhurat.end.time).to.be.below(result.sunrise.time);
+  });
+
+  it('should pass the astronomical context to a custom tradition', function() {
+    let context;
+    const calculator = new BrahmaMuhuratCalculator({
+      traditionType: {
+        id: 'test-midpoint',
+        type: 'custom',
+        description: 'From the middle of the night to civil dawn',
+        calculate(ctx) {
+          context = ctx;
+          const civilDawn = ctx.astronomicalCalc.getDepressionTimes(
+            ctx.latitude, ctx.longitude, ctx.date, ctx.timezone, 6
+          ).dawn;
+          return {
+            start: new Date((ctx.previousSunset.getTime() + ctx.sunrise.getTime()) / 2),
+            end: civilDawn
+          };
+        }
+      }
+    });
+    const result = calculator.calculate(varanasi);
+
+    expect(context.sunrise.getTime()).to.equal(result.sunrise.time.getTime());
+    expect(context.previousSunset).to.be.below(context.sunrise);
+    expect(context.sunset).to.be.above(context.sunrise);
+    expect(result.brahmaMuhurat.start.localTime).to.match(/^00:1\d/);
+    expect(result.brahmaMuhurat.end.localTime).to.match(/^06:0\d/);
+    expect(calculator.getTraditionInfo().description).to.equal('From the middle of the night to civil dawn');
+  });
+
+  it('should use the getTraditionInfo metadata of a tradition', function() {
+    const calculator = new BrahmaMuhuratCalculator({
+      traditionType: {
+        id: 'test-info',
+        type: 'offset',
+        minutes: 48,
+        getTraditionInfo: () => ({ name: 'One muhurta', duration: '48 minutes', description: 'Single muhurta' })
+      }
+    });
+
+    expect(calculator.getTraditionInfo().name).to.equal('One muhurta');
+  });
+
+  it('should reject invalid traditions', function() {
+    expect(() => new BrahmaMuhuratCalculator({ traditionType: 'vedic-unknown' }))
+      .to.throw('Unknown tradition type');
+    expect(() => traditions.registerTradition({ id: 'test-no-type', minutes: 96 }))
+      .to.throw('must have a type');
+    expect(() => traditions.registerTradition({ id: 'test-no-calc', type: 'custom' }))
+      .to.throw('must implement calculate()');
+    expect(() => traditions.registerTradition({ id: 'test-fraction', type: 'night-fraction', fraction: 2 }))
+      .to.throw('between 0 and 1');
+    expect(() => traditions.registerTradition(traditions.getTradition('standard')))
+      .to.throw('already registered');
+  });
+
+  it('should reject a custom tradition that returns no window', function() {
+    const calculator = new BrahmaMuhuratCalculator({
+      traditionType: { id: 'test-broken', type: 'custom', calculate: ({ sunrise }) => ({ start: sunrise }) }
+    });
+
+    expect(() => calculator.calculate(varanasi)).to.throw('must return a start before its end');
+  });
+});
@@ -1,13 +1,178 @@
 // Type definitions for Brahma Muhurat Calculator
 // Definitions by: Rakshit Patel <https://github.com/rakshitbharat>
 
+/**
+ * User-defined ayanamsa: value at an epoch growing at a fixed yearly rate
+ */
+export interface AyanamsaDefinition {
+    epoch: Date | string;
+    valueAtEpoch: number;
+    /** Arcseconds per year (defaults to mean general precession) */
+    ratePerYear?: number;
+    name?: string;
+}
+
+export type AyanamsaSystem = 'lahiri' | 'raman' | 'kp' | 'faganBradley' | 'custom';
+
+/**
+ * How sunrise is derived when the Sun does not rise or set on the requested day
+ */
+export type PolarPolicy = 'nearest-latitude' | 'one-seventh-night' | 'nearest-valid-day' | 'none';
+
+/** Which point of the Sun marks sunrise and sunset, and on which horizon */
+export type SunriseDefinition = 'upper-limb' | 'centre-apparent-horizon' | 'centre-true-horizon';
+
+/** Where the observer's horizon is: flat terrain or a water horizon */
+export type ObserverMode = 'land' | 'sea';
+
+/**
+ * Where the search for a day's sunrise and sunset starts; results always fall on the requested local date,
+ * and the anchor picks between two events on one date
+ */
+export type DayAnchor = 'local-midnight' | 'previous-noon' | 'utc';
+
+/**
+ * Solar day classification and the polar fallback applied, if any
+ */
+export interface SolarStatus {
+    status: 'normal' | 'midnight-sun' | 'polar-night';
+    policy: PolarPolicy;
+    fallbackApplied: boolean;
+    /** Latitude sunrise was borrowed from */
+    referenceLatitude: number | null;
+    /** Date sunrise was borrowed from (nearest-valid-day) */
+    referenceDate: string | null;
+    note: string | null;
+}
+
+/**
+ * Observer passed to ephemeris backends
+ */
+export interface EphemerisObserver {
+    latitude: number;
+    longitude: number;
+    elevation: number;
+}
+
+export interface SolarPosition {
+    /** Degrees clockwise from north */
+    azimuth: number;
+    /** Apparent altitude in degrees */
+    elevation: number;
+    /** Sidereal hours, or null when the backend does not provide it */
+    rightAscension: number | null;
+    declination: number | null;
+}
+
+export interface TwilightTimes {
+    astronomicalDawn: Date;
+    nauticalDawn: Date;
+    civilDawn: Date;
+    sunrise: Date;
+    sunset: Date;
+    civilDusk: Date;
+    nauticalDusk: Date;
+    astronomicalDusk: Date;
+    /** Present when custom depression angles were requested */
+    custom?: DepressionTimes[];
+}
+
+/**
+ * Times at which the Sun's centre is `depression` degrees below the horizon
+ */
+export interface DepressionTimes {
+    depression: number;
+    dawn: Date;
+    dusk: Date;
+}
+
+/**
+ * Ephemeris backend; events that do not occur are returned as invalid Dates
+ */
+export interface EphemerisBackend {
+    id: string;
+    name?: string;
+    description?: string;
+    /** Sunrise and sunset within 24 hours of `start` (local midnight) */
+    getRiseSet(observer: EphemerisObserver, start: Date): { sunrise: Date; sunset: Date };
+    getTwilight(observer: EphemerisObserver, start: Date): TwilightTimes;
+    getSolarPosition(observer: EphemerisObserver, instant: Date): SolarPosition;
+    /** Crossing of a geometric altitude within 24 hours of `start`; needed for custom depression angles */
+    searchAltitude?(observer: EphemerisObserver, start: Date, altitude: number, direction: 'rise' | 'set'): Date;
+    /** Geometric altitude of the Sun's centre at getRiseSet events; without it they are taken as the upper limb */
+    getRiseSetAltitude?(instant: Date): number;
+}
+
+/**
+ * Astronomical context passed to a custom tradition's calculate()
+ */
+export interface TraditionContext {
+    sunrise: Date;
+    /** Sunset starting the night that ends at sunrise, after midnight when the Sun sets that late */
+    previousSunset: Date;
+    /** Sunset ending the day that starts at sunrise */
+    sunset: Date;
+    latitude: number;
+    longitude: number;
+    date: Date | string;
+    timezone: string;
+    astronomicalCalc: any;
+}
+
+export interface TraditionInfo {
+    name: string;
+    duration: string;
+    description: string;
+}
+
+/**
+ * Brahma Muhurat tradition definition
+ */
+export interface TraditionDefinition {
+    id: string;
+    type: 'offset' | 'night-fraction' | 'depression' | 'custom';
+    name?: string;
+    duration?: string;
+    description?: string;
+    /** offset: minutes before sunrise */
+    minutes?: number;
+    /** night-fraction: fraction of previous sunset to sunrise, ending at sunrise */
+    fraction?: number;
+    /** depression: degrees below the horizon; defaults to the depressionAngle option */
+    angle?: number;
+    /** depression: defaults to the depressionEnd option */
+    end?: 'sunrise' | 'civil-dawn';
+    /** custom: the window; end defaults to sunrise */
+    calculate?(context: TraditionContext): { start: Date; end?: Date };
+    getTraditionInfo?(settings: { depressionAngle: number; depressionEnd: string }): TraditionInfo;
+}
+
 /**
  * Configuration options for the calculator
  */
 export interface CalculatorOptions {
     precision?: 'basic' | 'high' | 'maximum';
-    traditionType?: 'standard' | 'extended' | 'smarta';
+    /** Built-in or registered tradition id, or a tradition definition */
+    traditionType?: 'standard' | 'extended' | 'smarta' | 'dynamic' | 'night' | 'depression' | string | TraditionDefinition;
+    /** 'depression' tradition: degrees the Sun is below the horizon at the start (default 18) */
+    depressionAngle?: number;
+    /** 'depression' tradition: where the muhurat ends (default 'sunrise') */
+    depressionEnd?: 'sunrise' | 'civil-dawn';
+    /**
+     * Model for calculateRefraction() and getRefractionInfo()
+     * @deprecated Does not affect sunrise or the muhurat, which scale the standard horizon refraction
+     *   by pressure and temperature
+     */
     refractionModel?: 'bennett' | 'saemundsson' | 'rigorous';
+    ayanamsa?: AyanamsaSystem | AyanamsaDefinition;
+    ayanamsaDefinition?: AyanamsaDefinition;
+    polarPolicy?: PolarPolicy;
+    /** Ephemeris backend id ('suncalc', 'astronomy-engine', 'astronomia', 'noaa' or registered) or object */
+    ephemeris?: string | EphemerisBackend;
+    /** Sunrise and sunset search start (default 'local-midnight') */
+    dayAnchor?: DayAnchor;
+    /** Point of the Sun and horizon that mark sunrise (default 'upper-limb') */
+    sunriseDefinition?: SunriseDefinition;
 }
 
 /**
@@ -18,10 +183,117 @@ export interface CalculationParams {
     latitude: number;
     longitude: number;
     timezone: string;
+    /**
+     * Ground elevation in metres above sea level, passed to the ephemeris as the observer's height
+     * @deprecated No longer shifts sunrise or sunset; use observerHeight for the horizon dip
+     */
     elevation?: number;
+    /** Eye height in metres above the surrounding terrain; dips the horizon when there is no horizonProfile */
+    observerHeight?: number;
+    /** 'sea' for ships and coastal viewpoints looking at a water horizon (default 'land') */
+    observerMode?: ObserverMode;
+    /** observerMode 'sea' only, throws otherwise: eye height in metres above sea level */
+    eyeHeight?: number;
+    /** observerMode 'sea' only, throws otherwise: km to a visible horizon nearer than the sea horizon, such as the opposite shore */
+    horizonDistance?: number;
+    /** Terrestrial refraction coefficient for the horizon dip (default 0.16) */
+    terrestrialRefraction?: number;
     pressure?: number;
     temperature?: number;
     humidity?: number;
+    /** Extra solar depression angles (degrees below the horizon) for getAstronomicalData */
+    depressionAngles?: number[];
+    /** Visible skyline: altitude per equal azimuth bucket from north, or explicit points */
+    horizonProfile?: number[] | HorizonPoint[];
+}
+
+/**
+ * A point of the visible skyline, in degrees
+ */
+export interface HorizonPoint {
+    /** Degrees from north, clockwise, in [0, 360) */
+    azimuth: number;
+    /** Skyline altitude between -5 and 60 */
+    altitude: number;
+}
+
+/**
+ * Horizon used for a calculation, reported in calculationDetails.horizon
+ */
+export interface HorizonInfo {
+    mode: ObserverMode;
+    profilePoints: number;
+    minAltitude: number;
+    maxAltitude: number;
+    observerHeight: number;
+    /** km to the visible horizon, null with a profile or at ground level */
+    horizonDistance: number | null;
+    terrestrialRefraction: number;
+    /** Dip of the horizon in degrees */
+    dip: number;
+}
+
+/**
+ * A formatted instant in time
+ */
+export interface TimePoint {
+    time: Date;
+    formatted: string;
+    localTime: string;
+}
+
+/**
+ * A tithi (lunar day) and its bounds
+ */
+export interface Tithi {
+    number: number;
+    name: string;
+    paksha: 'Shukla' | 'Krishna';
+    elongation: number;
+    start: TimePoint;
+    end: TimePoint;
+}
+
+/**
+ * Tithi details for the Hindu day
+ */
+export interface TithiDetails {
+    atSunrise: Tithi;
+    atBrahmaMuhurat: Tithi;
+    endings: Array<{
+        number: number;
+        name: string;
+        paksha: 'Shukla' | 'Krishna';
+        end: TimePoint;
+    }>;
+    hasKshayaTithi: boolean;
+    hasVriddhiTithi: boolean;
+}
+
+/**
+ * Panchang element active during the Brahma Muhurat
+ */
+export interface PanchangElement {
+    number: number;
+    name: string;
+    start: TimePoint;
+    end: TimePoint;
+    endsDuringMuhurat: boolean;
+}
+
+export interface Nakshatra extends PanchangElement {
+    pada: number;
+    lord: string;
+    moonLongitude: number;
+}
+
+export interface Yoga extends PanchangElement {
+    isAuspicious: boolean;
+    longitudeSum: number;
+}
+
+export interface Karana extends PanchangElement {
+    isAuspicious: boolean;
 }
 
 /**
@@ -35,6 +307,7 @@ export interface CalculationResult {
         timezone: string;
     };
     date: string;
+    solarStatus: SolarStatus;
     sunrise: {
         time: Date;
         formatted: string;
@@ -56,6 +329,43 @@ export interface CalculationResult {
             formatted: string;
         };
         traditionType: string;
+        /** Present for the 'night' tradition */
+        nightMuhurta?: {
+            /** Length of one night muhurta: 1/15th of previous sunset to sunrise */
+            minutes: number;
+            nightMinutes: number;
+            previousSunset: TimePoint;
+        };
+        /** Present for the 'depression' tradition */
+        depression?: {
+            angle: number;
+            end: 'sunrise' | 'civil-dawn';
+            /** False when the Sun never sinks that far and the start is the darkest point of the night */
+            reached: boolean;
+            note: string;
+        };
+    };
+    abhijitMuhurat: {
+        start: TimePoint;
+        end: TimePoint;
+        solarNoon: TimePoint;
+        duration: {
+            minutes: number;
+            formatted: string;
+        };
+        isAuspicious: boolean;
+        note: string;
+    };
+    panchang: {
+        tithi: TithiDetails | null;
+        nakshatra: Nakshatra | null;
+        yoga: Yoga | null;
+        karana: Karana | null;
+        ayanamsa: {
+            id: string;
+            name: string;
+            value: number;
+        } | null;
     };
     astronomicalData: any;
     spiritualMetrics: any;
@@ -63,6 +373,281 @@ export interface CalculationResult {
     library: any;
 }
 
+/**
+ * One of the 30 muhurtas of the ahoratra
+ */
+export interface Muhurta {
+    index: number;
+    name: string;
+    period: 'day' | 'night';
+    start: TimePoint;
+    end: TimePoint;
+    durationMinutes: number;
+}
+
+/**
+ * Result of the full 30-muhurta division
+ */
+export interface MuhurtaTableResult {
+    location: {
+        latitude: number;
+        longitude: number;
+        elevation: number;
+        timezone: string;
+    };
+    date: Date;
+    /** Polar day or night, and where sunrise and sunset were taken from */
+    solarStatus: SolarStatus;
+    ahoratra: {
+        sunrise: TimePoint;
+        sunset: TimePoint;
+        nextSunrise: TimePoint;
+        dayMinutes: number;
+        nightMinutes: number;
+        dayMuhurtaMinutes: number;
+        nightMuhurtaMinutes: number;
+    };
+    muhurtas: {
+        day: Muhurta[];
+        night: Muhurta[];
+    };
+    calculationDetails: any;
+}
+
+/**
+ * A weekday-specific eighth of the day
+ */
+export interface KaalPeriod {
+    name: string;
+    part: number;
+    start: TimePoint;
+    end: TimePoint;
+    durationMinutes: number;
+}
+
+/**
+ * Rahu Kaal, Yamaganda and Gulika Kaal for a date
+ */
+export interface InauspiciousPeriodsResult {
+    location: {
+        latitude: number;
+        longitude: number;
+        elevation: number;
+        timezone: string;
+    };
+    date: Date;
+    weekday: string;
+    /** Polar day or night, and where sunrise and sunset were taken from */
+    solarStatus: SolarStatus;
+    sunrise: TimePoint;
+    sunset: TimePoint;
+    rahuKaal: KaalPeriod;
+    yamaganda: KaalPeriod;
+    gulikaKaal: KaalPeriod;
+    calculationDetails: any;
+}
+
+/**
+ * One Choghadiya segment
+ */
+export interface ChoghadiyaSegment {
+    index: number;
+    name: 'Udveg' | 'Char' | 'Labh' | 'Amrit' | 'Kaal' | 'Shubh' | 'Rog';
+    period: 'day' | 'night';
+    quality: 'good' | 'bad';
+    isAuspicious: boolean;
+    lord: string;
+    meaning: string;
+    start: TimePoint;
+    end: TimePoint;
+    durationMinutes: number;
+}
+
+/**
+ * Day and night Choghadiya tables for a date
+ */
+export interface ChoghadiyaResult {
+    location: {
+        latitude: number;
+        longitude: number;
+        elevation: number;
+        timezone: string;
+    };
+    date: Date;
+    weekday: string;
+    /** Polar day or night, and where sunrise and sunset were taken from */
+    solarStatus: SolarStatus;
+    sunrise: TimePoint;
+    sunset: TimePoint;
+    nextSunrise: TimePoint;
+    day: ChoghadiyaSegment[];
+    night: ChoghadiyaSegment[];
+    calculationDetails: any;
+}
+
+export type PlanetaryLord = 'Sun' | 'Moon' | 'Mars' | 'Mercury' | 'Jupiter' | 'Venus' | 'Saturn';
+
+/**
+ * One planetary hour
+ */
+export interface Hora {
+    index: number;
+    lord: PlanetaryLord;
+    period: 'day' | 'night';
+    start: TimePoint;
+    end: TimePoint;
+    durationMinutes: number;
+}
+
+/**
+ * Day and night hora sequences for a date
+ */
+export interface HoraResult {
+    location: {
+        latitude: number;
+        longitude: number;
+        elevation: number;
+        timezone: string;
+    };
+    date: Date;
+    weekday: string;
+    weekdayLord: PlanetaryLord;
+    /** Polar day or night, and where sunrise and sunset were taken from */
+    solarStatus: SolarStatus;
+    sunrise: TimePoint;
+    sunset: TimePoint;
+    nextSunrise: TimePoint;
+    day: Hora[];
+    night: Hora[];
+    calculationDetails: any;
+}
+
+/**
+ * Moon position sample during the Brahma Muhurat
+ */
+export interface MoonSample extends TimePoint {
+    altitude: number;
+    azimuth: number;
+    isAboveHorizon: boolean;
+}
+
+/**
+ * The night ending at a date's sunrise
+ */
+export interface NightSpan {
+    previousSunset: Date;
+    sunrise: Date;
+    /** null when the Sun does not set or rise */
+    durationSeconds: number | null;
+    durationFormatted: string | null;
+}
+
+/**
+ * Astronomical data for a location and date
+ */
+export interface AstronomicalDataResult {
+    location: {
+        latitude: number;
+        longitude: number;
+        timezone: string;
+    };
+    date: Date;
+    twilight: TwilightTimes;
+    dayLength: any;
+    nightSpan: NightSpan;
+    solarPosition: any;
+    moon: {
+        moonrise: TimePoint | null;
+        moonset: TimePoint | null;
+        duringBrahmaMuhurat: {
+            start: TimePoint;
+            end: TimePoint;
+            samples: MoonSample[];
+            isAboveHorizon: boolean;
+            aboveHorizonThroughout: boolean;
+            illuminatedFraction: number;
+            isMoonlit: boolean;
+        } | null;
+    };
+    calculatedAt: string;
+}
+
+/**
+ * Location for the current-state and next-occurrence searches
+ */
+export type MuhuratLocation = Omit<CalculationParams, 'date'>;
+
+/**
+ * A Brahma Muhurat window; `date` is the local date of its sunrise
+ */
+export interface MuhuratWindow {
+    date: string;
+    start: TimePoint;
+    end: TimePoint;
+    sunrise: TimePoint;
+    durationMinutes: number;
+}
+
+export interface TimeSpan {
+    seconds: number;
+    formatted: string;
+}
+
+export interface CurrentState {
+    instant: Date;
+    location: MuhuratLocation;
+    isBrahmaMuhurat: boolean;
+    current: MuhuratWindow | null;
+    remaining: TimeSpan | null;
+    next: MuhuratWindow | null;
+    startsIn: TimeSpan | null;
+}
+
+/**
+ * One sunrise method in a cross-validation report
+ */
+export interface CrossValidationMethod {
+    id: string;
+    precision: 'basic' | 'high' | 'maximum';
+    ephemeris: string | null;
+    /** Deviation tolerated for a method of known lower accuracy, used instead of a smaller threshold */
+    toleranceSeconds?: number | null;
+    sunrise?: TimePoint;
+    sunset?: TimePoint;
+    brahmaMuhuratStart?: TimePoint;
+    deviationSeconds: number | null;
+    isFlagged: boolean;
+    error?: string;
+}
+
+/**
+ * Sunrise compared across precision levels and ephemeris backends
+ */
+export interface CrossValidationResult {
+    location: {
+        latitude: number;
+        longitude: number;
+        elevation: number;
+        timezone: string;
+    };
+    date: Date;
+    thresholdSeconds: number;
+    methods: CrossValidationMethod[];
+    differences: Array<{
+        methods: [string, string];
+        sunriseSeconds: number;
+        sunsetSeconds: number;
+    }>;
+    consensus: {
+        sunrise: TimePoint;
+        sunset: TimePoint;
+    };
+    maxSunriseSpreadSeconds: number | null;
+    flagged: string[];
+    isConsistent: boolean;
+    calculationDetails: any;
+}
+
 /**
  * Main Brahma Muhurat Calculator class
  */
@@ -76,11 +661,30 @@ declare class BrahmaMuhuratCalculator {
     calculate(params: CalculationParams): CalculationResult;
     calculateBatch(baseParams: Omit<CalculationParams, 'date'>, dates: Array<Date | string>): Array<CalculationResult | { error: string }>;
     calculateSunrise(params: CalculationParams): any;
+    getAstronomicalData(params: CalculationParams): AstronomicalDataResult;
+    calculateMuhurtas(params: CalculationParams): MuhurtaTableResult;
+    calculateInauspiciousPeriods(params: CalculationParams): InauspiciousPeriodsResult;
+    calculateChoghadiya(params: CalculationParams): ChoghadiyaResult;
+    calculateHoras(params: CalculationParams): HoraResult;
+    getCurrentState(location: MuhuratLocation, instant?: Date | string): CurrentState;
+    findNext(location: MuhuratLocation, after?: Date | string): (MuhuratWindow & { startsIn: TimeSpan }) | null;
+    crossValidate(params: CalculationParams, options?: { thresholdSeconds?: number }): CrossValidationResult;
+    getAyanamsaInfo(date?: Date): {
+        id: string;
+        name: string;
+        description: string;
+        date: Date;
+        value: number;
+    };
     
     static getSupportedTimezones(): string[];
     static formatCoordinates(latitude: number, longitude: number): string;
     static validateCoordinates(latitude: number, longitude: number): boolean;
     static getLibraryInfo(): any;
+    static registerEphemerisBackend(backend: EphemerisBackend): EphemerisBackend;
+    static getEphemerisBackends(): Array<{ id: string; name: string; description: string | null }>;
+    static registerTradition(tradition: TraditionDefinition): TraditionDefinition;
+    static getTraditions(): Array<TraditionInfo & { id: string }>;
 }
 
 export default BrahmaMuhuratCalculator;
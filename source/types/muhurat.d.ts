@@ -76,23 +76,41 @@ declare namespace MuhuratCalculator {
     /** Phase name */
     phase: string;
     
-    /** Illumination percentage */
+    /** Illuminated fraction of the disc (0-1) */
     illumination: number;
     
-    /** Age in days */
-    age: number;
+    /** Spiritual significance of the phase */
+    spiritualSignificance: string;
+    
+    /** Sun-Moon-Earth phase angle in degrees */
+    phaseAngle: number;
+    
+    /** Moon-Sun ecliptic elongation in degrees (0-360) */
+    elongation: number;
+    
+    /** Age in days since the previous new moon */
+    ageDays: number;
     
     /** Distance from Earth in km */
+    distanceKm: number;
+    
+    /** @deprecated Use ageDays */
+    age: number;
+    
+    /** @deprecated Use distanceKm */
     distance: number;
     
     /** Angular diameter in degrees */
     angularDiameter: number;
     
     /** Next new moon */
-    nextNewMoon?: Date;
+    nextNewMoon: Date;
     
     /** Next full moon */
-    nextFullMoon?: Date;
+    nextFullMoon: Date;
+    
+    /** Instant the phase was evaluated at (Brahma Muhurat start) */
+    evaluatedAt: Date;
   }
 
   interface SpiritualSignificance {